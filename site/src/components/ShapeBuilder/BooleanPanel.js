@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from "react";
+import { Box, Button, FormControl, MenuItem, Select } from "@sistent/sistent";
+import { BOOLEAN_OPERATIONS } from "./booleanOps";
+
+// Combines the active shape with the shape on another layer.
+const BooleanPanel = ({ operands, isClosed, onCombine }) => {
+  const [operandId, setOperandId] = useState("");
+
+  useEffect(() => {
+    if (!operands.some(operand => operand.id === operandId)) {
+      setOperandId(operands.length ? operands[operands.length - 1].id : "");
+    }
+  }, [operands]);
+
+  const disabled = !isClosed || operandId === "";
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5, flexWrap: "wrap", justifyContent: "center" }}>
+      <FormControl size="small" sx={{ minWidth: 120 }} disabled={operands.length === 0}>
+        <Select
+          value={operandId}
+          onChange={(e) => setOperandId(e.target.value)}
+          displayEmpty
+          renderValue={(id) => operands.find(operand => operand.id === id)?.name || "Other layer"}
+          aria-label="Boolean operand"
+          sx={{
+            color: "#fff",
+            "& .MuiSelect-icon": {
+              color: "#fff"
+            }
+          }}
+        >
+          {operands.map((operand) => (
+            <MenuItem key={operand.id} value={operand.id}>{operand.name}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {BOOLEAN_OPERATIONS.map(({ id, label }) => (
+        <Button key={id} variant="contained" onClick={() => onCombine(id, operandId)} disabled={disabled}>
+          {label}
+        </Button>
+      ))}
+    </Box>
+  );
+};
+
+export default BooleanPanel;
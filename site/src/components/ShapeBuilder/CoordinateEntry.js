@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+import { TextField } from "@sistent/sistent";
+
+// Command field for typing the next vertex. onPlace throws on input it cannot
+// use and the message is shown under the field, like the import dialog does.
+const CoordinateEntry = ({ onPlace, disabled }) => {
+  const [value, setValue] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+
+    try {
+      onPlace(value);
+      setValue("");
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <TextField
+      size="small"
+      label="Next point"
+      placeholder="0.5,-0.25  @0.1,0  @0.3<45"
+      value={value}
+      disabled={disabled}
+      onChange={(e) => {
+        setValue(e.target.value);
+        setError(null);
+      }}
+      onKeyDown={handleKeyDown}
+      error={Boolean(error)}
+      helperText={error}
+      inputProps={{ "aria-label": "Next point coordinates", style: { fontFamily: "monospace" } }}
+      sx={{ width: 220, "& .MuiInputBase-input": { color: "#fff" } }}
+    />
+  );
+};
+
+export default CoordinateEntry;
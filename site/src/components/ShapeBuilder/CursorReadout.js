@@ -0,0 +1,67 @@
+import React, { useEffect, useRef, useState } from "react";
+import { normalizePoints } from "./polygonFormats";
+import { ReadoutBox, VertexTooltip } from "./shapeBuilder.styles";
+
+const TOOLTIP_OFFSET = 14;
+
+const formatPoint = ([x, y]) => `${x.toFixed(3)}, ${y.toFixed(3)}`;
+
+// Tracks the pointer on its own so that moving the mouse only re-renders the
+// readout, not the whole builder. Positions are read on the next animation
+// frame, after the draw plugin has moved its cursor point, so the tooltip
+// shows where a click would actually place the vertex.
+const CursorReadout = ({ boardRef, canvasRef, getNextVertex }) => {
+  const [cursor, setCursor] = useState(null);
+  const getNextVertexRef = useRef(getNextVertex);
+  getNextVertexRef.current = getNextVertex;
+
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    let frame = null;
+    const handleMove = (e) => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+
+        const { x, y } = canvas.point(e.clientX, e.clientY);
+        const bounds = board.getBoundingClientRect();
+        const next = getNextVertexRef.current(e);
+        setCursor({
+          point: normalizePoints([[x, y]])[0],
+          next: next ? normalizePoints([next])[0] : null,
+          offset: [e.clientX - bounds.left, e.clientY - bounds.top],
+        });
+      });
+    };
+    const handleLeave = () => {
+      cancelAnimationFrame(frame);
+      setCursor(null);
+    };
+
+    board.addEventListener("pointermove", handleMove);
+    board.addEventListener("pointerleave", handleLeave);
+    return () => {
+      cancelAnimationFrame(frame);
+      board.removeEventListener("pointermove", handleMove);
+      board.removeEventListener("pointerleave", handleLeave);
+    };
+  }, []);
+
+  if (!cursor) return null;
+
+  return (
+    <>
+      <ReadoutBox>{formatPoint(cursor.point)}</ReadoutBox>
+      {cursor.next && (
+        <VertexTooltip style={{ left: cursor.offset[0] + TOOLTIP_OFFSET, top: cursor.offset[1] + TOOLTIP_OFFSET }}>
+          {formatPoint(cursor.next)}
+        </VertexTooltip>
+      )}
+    </>
+  );
+};
+
+export default CursorReadout;
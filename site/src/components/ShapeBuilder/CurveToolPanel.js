@@ -0,0 +1,80 @@
+import React from "react";
+import { Box, FormControl, MenuItem, Select, TextField } from "@sistent/sistent";
+
+export const DRAW_TOOLS = [
+  { id: "line", label: "Line" },
+  { id: "curve", label: "Bezier Curve" },
+  { id: "arc", label: "Arc" },
+  { id: "freehand", label: "Freehand" },
+];
+
+const numberFieldSx = {
+  width: 90,
+  "& .MuiInputBase-input": { color: "#fff" },
+};
+
+// Controlled settings for the drawing tools; ShapeBuilder owns the state so
+// its canvas listeners can read it.
+const CurveToolPanel = ({ settings, onChange, disabled }) => {
+  const { tool, segments, sweep, radius } = settings;
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5, flexWrap: "wrap", justifyContent: "center" }}>
+      <FormControl size="small" sx={{ minWidth: 140 }} disabled={disabled}>
+        <Select
+          value={tool}
+          onChange={(e) => onChange({ tool: e.target.value })}
+          aria-label="Drawing tool"
+          sx={{
+            color: "#fff",
+            "& .MuiSelect-icon": {
+              color: "#fff"
+            }
+          }}
+        >
+          {DRAW_TOOLS.map(({ id, label }) => (
+            <MenuItem key={id} value={id}>{label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {(tool === "curve" || tool === "arc") && (
+        <TextField
+          size="small"
+          type="number"
+          label="Segments"
+          value={segments}
+          onChange={(e) => onChange({ segments: e.target.value })}
+          inputProps={{ min: 1, max: 64, step: 1 }}
+          sx={numberFieldSx}
+        />
+      )}
+
+      {tool === "arc" && (
+        <>
+          <TextField
+            size="small"
+            type="number"
+            label="Sweep°"
+            value={sweep}
+            onChange={(e) => onChange({ sweep: e.target.value })}
+            inputProps={{ min: -360, max: 360, step: 15 }}
+            sx={numberFieldSx}
+          />
+          <TextField
+            size="small"
+            type="number"
+            label="Radius"
+            value={radius}
+            onChange={(e) => onChange({ radius: e.target.value })}
+            inputProps={{ min: 0, max: 2, step: 0.05 }}
+            helperText="0 = to last point"
+            sx={numberFieldSx}
+          />
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default CurveToolPanel;
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { Box, Button, FormControl, FormControlLabel, MenuItem, Select, Switch, TextField } from "@sistent/sistent";
+import { buildSvgDocument, downloadBlob, renderPng } from "./shapeExport";
+
+const PNG_SIZES = [32, 64, 128, 256, 512];
+const SVG_SIZE = 512;
+const STROKE_WIDTH = 2;
+
+const colorFieldSx = { width: 80, "& .MuiInputBase-input": { color: "#fff", height: 24, padding: "4px 8px" } };
+
+// Saves the active shape as an SVG or PNG file. Errors are handed back to
+// the builder, which shows them over the canvas like every other failure.
+const ExportPanel = ({ points, disabled, onError }) => {
+  const [size, setSize] = useState(128);
+  const [fill, setFill] = useState("#00b39f");
+  const [stroke, setStroke] = useState("#ffffff");
+  const [background, setBackground] = useState("#181b1f");
+  const [transparent, setTransparent] = useState(true);
+
+  const buildSvg = (outputSize) =>
+    buildSvgDocument(points, {
+      size: outputSize,
+      fill,
+      stroke,
+      strokeWidth: STROKE_WIDTH,
+      background: transparent ? null : background,
+    });
+
+  const downloadSvg = () => {
+    downloadBlob(new Blob([buildSvg(SVG_SIZE)], { type: "image/svg+xml" }), "shape.svg");
+  };
+
+  const downloadPng = async () => {
+    try {
+      const blob = await renderPng(buildSvg(size), size);
+      downloadBlob(blob, `shape-${size}.png`);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5, flexWrap: "wrap", justifyContent: "center" }}>
+      <TextField size="small" type="color" label="Fill" value={fill} onChange={(e) => setFill(e.target.value)} sx={colorFieldSx} />
+      <TextField size="small" type="color" label="Stroke" value={stroke} onChange={(e) => setStroke(e.target.value)} sx={colorFieldSx} />
+      <FormControlLabel
+        control={<Switch checked={transparent} onChange={(e) => setTransparent(e.target.checked)} />}
+        label="Transparent"
+      />
+      {!transparent && (
+        <TextField
+          size="small"
+          type="color"
+          label="Background"
+          value={background}
+          onChange={(e) => setBackground(e.target.value)}
+          sx={colorFieldSx}
+        />
+      )}
+
+      <Button variant="contained" onClick={downloadSvg} disabled={disabled}>Download SVG</Button>
+
+      <FormControl size="small" sx={{ minWidth: 100 }}>
+        <Select
+          value={size}
+          onChange={(e) => setSize(e.target.value)}
+          renderValue={(value) => `${value}px`}
+          aria-label="PNG size"
+          sx={{
+            color: "#fff",
+            "& .MuiSelect-icon": {
+              color: "#fff"
+            }
+          }}
+        >
+          {PNG_SIZES.map((value) => (
+            <MenuItem key={value} value={value}>{value}px</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <Button variant="contained" onClick={downloadPng} disabled={disabled}>Download PNG</Button>
+    </Box>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { Box, Button, FormControl, MenuItem, Select, Slider, TextField, Typography } from "@sistent/sistent";
+import { generatePolygonPoints } from "./shapeTemplates";
+
+const MIN_SIDES = 3;
+const MAX_SIDES = 24;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const numberFieldSx = {
+  width: 84,
+  "& .MuiInputBase-input": { color: "#fff" },
+};
+
+const GeneratorPanel = ({ onGenerate }) => {
+  const [kind, setKind] = useState("polygon");
+  const [sides, setSides] = useState(6);
+  const [innerRatio, setInnerRatio] = useState(0.5);
+  const [rotation, setRotation] = useState(0);
+  const [radius, setRadius] = useState(1);
+
+  const handleGenerate = () => {
+    onGenerate(generatePolygonPoints({
+      sides: clamp(Math.round(sides) || MIN_SIDES, MIN_SIDES, MAX_SIDES),
+      radius: clamp(Number(radius) || 1, 0.05, 1),
+      rotation: Number(rotation) || 0,
+      innerRatio: kind === "star" ? innerRatio : null,
+    }));
+  };
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5, flexWrap: "wrap", justifyContent: "center" }}>
+      <FormControl size="small" sx={{ minWidth: 110 }}>
+        <Select
+          value={kind}
+          onChange={(e) => setKind(e.target.value)}
+          aria-label="Generated shape"
+          sx={{
+            color: "#fff",
+            "& .MuiSelect-icon": {
+              color: "#fff"
+            }
+          }}
+        >
+          <MenuItem value="polygon">Polygon</MenuItem>
+          <MenuItem value="star">Star</MenuItem>
+        </Select>
+      </FormControl>
+
+      <TextField
+        size="small"
+        type="number"
+        label={kind === "star" ? "Points" : "Sides"}
+        value={sides}
+        onChange={(e) => setSides(e.target.value)}
+        inputProps={{ min: MIN_SIDES, max: MAX_SIDES, step: 1 }}
+        sx={numberFieldSx}
+      />
+
+      <TextField
+        size="small"
+        type="number"
+        label="Rotation°"
+        value={rotation}
+        onChange={(e) => setRotation(e.target.value)}
+        inputProps={{ step: 15 }}
+        sx={numberFieldSx}
+      />
+
+      <TextField
+        size="small"
+        type="number"
+        label="Radius"
+        value={radius}
+        onChange={(e) => setRadius(e.target.value)}
+        inputProps={{ min: 0.05, max: 1, step: 0.05 }}
+        sx={numberFieldSx}
+      />
+
+      {kind === "star" && (
+        <Box sx={{ width: 140, display: "flex", alignItems: "center", gap: 1 }}>
+          <Typography variant="body2">Inner</Typography>
+          <Slider
+            value={innerRatio}
+            onChange={(e, value) => setInnerRatio(value)}
+            min={0.1}
+            max={0.95}
+            step={0.01}
+            valueLabelDisplay="auto"
+            aria-label="Star inner radius ratio"
+          />
+        </Box>
+      )}
+
+      <Button variant="contained" onClick={handleGenerate}>Generate</Button>
+    </Box>
+  );
+};
+
+export default GeneratorPanel;
@@ -0,0 +1,81 @@
+import React from "react";
+import { Box, Button, IconButton, List, ListItem, ListItemButton, ListItemText, Tooltip, Typography } from "@sistent/sistent";
+import VisibilityIcon from "@mui/icons-material/Visibility";
+import VisibilityOffIcon from "@mui/icons-material/VisibilityOff";
+import LockIcon from "@mui/icons-material/Lock";
+import LockOpenIcon from "@mui/icons-material/LockOpen";
+import ArrowUpwardIcon from "@mui/icons-material/ArrowUpward";
+import ArrowDownwardIcon from "@mui/icons-material/ArrowDownward";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+
+const iconSx = { color: "#fff", width: 18, height: 18 };
+
+// Layers are stored bottom-to-top; the list shows the top layer first.
+const LayersPanel = ({ layers, activeLayerId, onAdd, onSelect, onToggleVisibility, onToggleLock, onMove, onDelete }) => {
+  const rows = layers.map((layer, index) => ({ layer, index })).reverse();
+
+  return (
+    <Box sx={{ maxWidth: 600, mx: "auto", mb: 3 }}>
+      <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", mb: 1 }}>
+        <Typography variant="subtitle1" component="h6" sx={{ fontWeight: 600 }}>
+          Layers
+        </Typography>
+        <Button variant="contained" size="small" onClick={onAdd}>Add Layer</Button>
+      </Box>
+
+      <List dense disablePadding>
+        {rows.map(({ layer, index }) => {
+          const isActive = layer.id === activeLayerId;
+          const isEmpty = !isActive && layer.points.length === 0;
+
+          return (
+            <ListItem
+              key={layer.id}
+              disablePadding
+              secondaryAction={
+                <Box sx={{ display: "flex" }}>
+                  <Tooltip title={layer.visible ? "Hide" : "Show"}>
+                    <IconButton size="small" onClick={() => onToggleVisibility(layer.id)} aria-label={`Toggle visibility of ${layer.name}`}>
+                      {layer.visible ? <VisibilityIcon sx={iconSx} /> : <VisibilityOffIcon sx={iconSx} />}
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={isActive ? "The active layer cannot be locked" : layer.locked ? "Unlock" : "Lock"}>
+                    <span>
+                      <IconButton size="small" onClick={() => onToggleLock(layer.id)} disabled={isActive} aria-label={`Toggle lock of ${layer.name}`}>
+                        {layer.locked ? <LockIcon sx={iconSx} /> : <LockOpenIcon sx={iconSx} />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <IconButton size="small" onClick={() => onMove(layer.id, 1)} disabled={index === layers.length - 1} aria-label={`Move ${layer.name} up`}>
+                    <ArrowUpwardIcon sx={iconSx} />
+                  </IconButton>
+                  <IconButton size="small" onClick={() => onMove(layer.id, -1)} disabled={index === 0} aria-label={`Move ${layer.name} down`}>
+                    <ArrowDownwardIcon sx={iconSx} />
+                  </IconButton>
+                  <IconButton size="small" onClick={() => onDelete(layer.id)} disabled={layer.locked} aria-label={`Delete ${layer.name}`}>
+                    <DeleteOutlineIcon sx={iconSx} />
+                  </IconButton>
+                </Box>
+              }
+            >
+              <ListItemButton
+                selected={isActive}
+                disabled={layer.locked}
+                onClick={() => onSelect(layer.id)}
+                sx={{ borderRadius: 1, pr: 22 }}
+              >
+                <ListItemText
+                  primary={layer.name}
+                  secondary={isActive ? "Active" : isEmpty ? "Empty" : `${layer.points.length} points`}
+                  secondaryTypographyProps={{ sx: { color: "#797d7a" } }}
+                />
+              </ListItemButton>
+            </ListItem>
+          );
+        })}
+      </List>
+    </Box>
+  );
+};
+
+export default LayersPanel;
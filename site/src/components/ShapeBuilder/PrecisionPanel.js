@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from "react";
+import { Box, FormControl, MenuItem, Select, TextField } from "@sistent/sistent";
+import { FRACTION_SNAPS } from "./polygonFormats";
+
+export const MIN_PRECISION = 0;
+export const MAX_PRECISION = 10;
+
+// Output-only settings: they change how coordinates are written out, never
+// the shape on the canvas.
+const PrecisionPanel = ({ settings, onChange }) => {
+  const { precision, fractions } = settings;
+  const [draft, setDraft] = useState(String(precision));
+
+  useEffect(() => {
+    setDraft(String(precision));
+  }, [precision]);
+
+  // Clearing the field to type a new value keeps the last valid precision
+  // instead of briefly writing the output with none.
+  const handlePrecisionChange = (e) => {
+    const value = e.target.value;
+    setDraft(value);
+    if (value.trim() === "" || !Number.isFinite(Number(value))) return;
+
+    onChange({ precision: Math.max(MIN_PRECISION, Math.min(MAX_PRECISION, Math.round(Number(value)))) });
+  };
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5 }}>
+      <TextField
+        size="small"
+        type="number"
+        label="Decimals"
+        value={draft}
+        onChange={handlePrecisionChange}
+        onBlur={() => setDraft(String(precision))}
+        inputProps={{ min: MIN_PRECISION, max: MAX_PRECISION, step: 1 }}
+        sx={{ width: 90, "& .MuiInputBase-input": { color: "#fff" } }}
+      />
+
+      <FormControl size="small" sx={{ minWidth: 150 }}>
+        <Select
+          value={fractions}
+          onChange={(e) => onChange({ fractions: e.target.value })}
+          aria-label="Snap to fractions"
+          sx={{
+            color: "#fff",
+            "& .MuiSelect-icon": {
+              color: "#fff"
+            }
+          }}
+        >
+          {FRACTION_SNAPS.map(({ id, label }) => (
+            <MenuItem key={id} value={id}>{label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+    </Box>
+  );
+};
+
+export default PrecisionPanel;
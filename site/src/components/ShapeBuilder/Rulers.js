@@ -0,0 +1,63 @@
+import React from "react";
+import { denormalizeLength, getFrameCenter } from "./polygonFormats";
+
+const RULER_SIZE = 20;
+const TICK_STEP = 0.125;
+const LABEL_STEP = 0.5;
+
+// Normalized tick values that fall inside [start, end) canvas units along one
+// axis, where `origin` is the canvas position of normalized zero.
+const getTicks = (start, length, origin) => {
+  const unit = denormalizeLength(1);
+  const first = Math.ceil((start - origin) / unit / TICK_STEP);
+  const last = Math.floor((start + length - origin) / unit / TICK_STEP);
+  return Array.from({ length: Math.max(0, last - first + 1) }, (_, i) => {
+    const value = (first + i) * TICK_STEP;
+    return { value, position: origin + value * unit };
+  });
+};
+
+const isMultiple = (value, step) => Math.abs(value / step - Math.round(value / step)) < 1e-9;
+
+const getTickLength = (value) => {
+  if (isMultiple(value, LABEL_STEP)) return RULER_SIZE * 0.6;
+  if (isMultiple(value, TICK_STEP * 2)) return RULER_SIZE * 0.4;
+  return RULER_SIZE * 0.25;
+};
+
+const formatTick = (value) => String(Number(value.toFixed(2)) + 0);
+
+// Rulers along the top and left edges of the visible canvas, marked in the
+// same normalized units the output uses.
+const Rulers = ({ area }) => {
+  const [cx, cy] = getFrameCenter();
+  const top = area.y;
+  const left = area.x;
+
+  return (
+    <g className="rulers">
+      <rect className="ruler" x={left} y={top} width={area.width} height={RULER_SIZE} />
+      <rect className="ruler" x={left} y={top} width={RULER_SIZE} height={area.height} />
+
+      {getTicks(left + RULER_SIZE, area.width - RULER_SIZE, cx).map(({ value, position }) => (
+        <g key={`x${value}`}>
+          <line x1={position} y1={top + RULER_SIZE} x2={position} y2={top + RULER_SIZE - getTickLength(value)} />
+          {isMultiple(value, LABEL_STEP) && (
+            <text x={position + 2} y={top + 9}>{formatTick(value)}</text>
+          )}
+        </g>
+      ))}
+
+      {getTicks(top + RULER_SIZE, area.height - RULER_SIZE, cy).map(({ value, position }) => (
+        <g key={`y${value}`}>
+          <line x1={left + RULER_SIZE} y1={position} x2={left + RULER_SIZE - getTickLength(value)} y2={position} />
+          {isMultiple(value, LABEL_STEP) && (
+            <text x={left + 2} y={position - 2}>{formatTick(value)}</text>
+          )}
+        </g>
+      ))}
+    </g>
+  );
+};
+
+export default Rulers;
@@ -0,0 +1,34 @@
+import React from "react";
+import { Box, Button, Slider, Typography } from "@sistent/sistent";
+
+export const MAX_SIMPLIFY_TOLERANCE = 0.1;
+
+// Tolerance is in normalized units: how far a dropped vertex may sit from the
+// simplified outline. The builder previews the result while it is above zero.
+const SimplifyPanel = ({ tolerance, before, after, disabled, onChange, onApply }) => (
+  <Box sx={{ display: "flex", alignItems: "center", gap: 1.5 }}>
+    <Typography variant="body2" sx={{ fontWeight: 500 }}>
+      Simplify
+    </Typography>
+    <Box sx={{ width: 150 }}>
+      <Slider
+        value={tolerance}
+        onChange={(event, value) => onChange(value)}
+        min={0}
+        max={MAX_SIMPLIFY_TOLERANCE}
+        step={0.001}
+        disabled={disabled}
+        valueLabelDisplay="auto"
+        aria-label="Simplify tolerance"
+      />
+    </Box>
+    <Typography variant="body2" sx={{ minWidth: 70 }}>
+      {disabled ? "–" : `${before} → ${after}`}
+    </Typography>
+    <Button variant="contained" onClick={onApply} disabled={disabled || tolerance === 0 || after === before}>
+      Apply
+    </Button>
+  </Box>
+);
+
+export default SimplifyPanel;
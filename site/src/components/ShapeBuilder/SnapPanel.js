@@ -0,0 +1,55 @@
+import React from "react";
+import { Box, FormControl, FormControlLabel, MenuItem, Select, Switch } from "@sistent/sistent";
+import { ANGLE_STEPS, GRID_DIVISIONS } from "./snapping";
+
+const selectSx = {
+  color: "#fff",
+  "& .MuiSelect-icon": {
+    color: "#fff"
+  }
+};
+
+// Grid spacing is picked as a fraction of the normalized half-frame, so a
+// 1/8 grid puts exactly eight cells between the center and the boundary.
+const SnapPanel = ({ settings, onChange }) => {
+  const { divisions, angleStep, align } = settings;
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5 }}>
+      <FormControl size="small" sx={{ minWidth: 110 }}>
+        <Select
+          value={divisions}
+          onChange={(e) => onChange({ divisions: e.target.value })}
+          renderValue={(value) => `Grid 1/${value}`}
+          aria-label="Grid size"
+          sx={selectSx}
+        >
+          {GRID_DIVISIONS.map((value) => (
+            <MenuItem key={value} value={value}>1/{value}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <FormControl size="small" sx={{ minWidth: 90 }}>
+        <Select
+          value={angleStep}
+          onChange={(e) => onChange({ angleStep: e.target.value })}
+          renderValue={(value) => `⇧ ${value}°`}
+          aria-label="Shift angle step"
+          sx={selectSx}
+        >
+          {ANGLE_STEPS.map((value) => (
+            <MenuItem key={value} value={value}>{value}°</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <FormControlLabel
+        control={<Switch checked={align} onChange={(e) => onChange({ align: e.target.checked })} />}
+        label="Guides"
+      />
+    </Box>
+  );
+};
+
+export default SnapPanel;
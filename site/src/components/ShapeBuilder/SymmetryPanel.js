@@ -0,0 +1,47 @@
+import React from "react";
+import { Box, FormControl, MenuItem, Select, TextField } from "@sistent/sistent";
+import { SYMMETRY_MODES } from "./symmetry";
+
+export const MIN_FOLDS = 2;
+export const MAX_FOLDS = 24;
+
+const SymmetryPanel = ({ settings, onChange, disabled }) => {
+  const { mode, folds } = settings;
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5 }}>
+      <FormControl size="small" sx={{ minWidth: 160 }} disabled={disabled}>
+        <Select
+          value={mode}
+          onChange={(e) => onChange({ mode: e.target.value })}
+          aria-label="Symmetry mode"
+          sx={{
+            color: "#fff",
+            "& .MuiSelect-icon": {
+              color: "#fff"
+            }
+          }}
+        >
+          {SYMMETRY_MODES.map(({ id, label }) => (
+            <MenuItem key={id} value={id}>{label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {mode === "radial" && (
+        <TextField
+          size="small"
+          type="number"
+          label="Folds"
+          value={folds}
+          disabled={disabled}
+          onChange={(e) => onChange({ folds: e.target.value })}
+          inputProps={{ min: MIN_FOLDS, max: MAX_FOLDS, step: 1 }}
+          sx={{ width: 80, "& .MuiInputBase-input": { color: "#fff" } }}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default SymmetryPanel;
@@ -0,0 +1,34 @@
+import React from "react";
+import { Box, Button, Typography } from "@sistent/sistent";
+import { VALIDATION_FIXES } from "./validation";
+
+const SEVERITY_COLORS = {
+  error: "#ff5757",
+  warning: "#ebc017",
+  info: "#797d7a",
+};
+
+// Lists the problems validatePolygon found in the output, each with its
+// one-click fix when there is one.
+const ValidationPanel = ({ issues, onFix }) => {
+  if (issues.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      {issues.map(({ id, severity, message, fix }) => (
+        <Box key={id} sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 1, py: 0.25 }}>
+          <Typography variant="body2" sx={{ color: SEVERITY_COLORS[severity] }}>
+            {message}
+          </Typography>
+          {fix && (
+            <Button size="small" variant="outlined" onClick={() => onFix(fix)}>
+              {VALIDATION_FIXES[fix].label}
+            </Button>
+          )}
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default ValidationPanel;
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  IconButton,
+  InputBase,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@sistent/sistent";
+import ArrowUpwardIcon from "@mui/icons-material/ArrowUpward";
+import ArrowDownwardIcon from "@mui/icons-material/ArrowDownward";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import { MIN_POLYGON_POINTS } from "./polygonFormats";
+
+const iconSx = { color: "#fff", width: 16, height: 16 };
+
+const cellSx = { color: "#fff", borderColor: "#24292E", py: 0.5 };
+
+// Keeps the typed text locally so partial input like "-" or "0." survives
+// until the cell is committed with Enter or by leaving it.
+const CoordinateCell = ({ value, label, onCommit }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = Number(draft);
+    if (draft.trim() === "" || !Number.isFinite(parsed)) {
+      setDraft(String(value));
+      return;
+    }
+    if (parsed !== value) onCommit(parsed);
+  };
+
+  return (
+    <TableCell sx={cellSx}>
+      <InputBase
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") e.target.blur();
+          if (e.key === "Escape") setDraft(String(value));
+        }}
+        inputProps={{ "aria-label": label, inputMode: "decimal" }}
+        sx={{ color: "#fff", fontFamily: "monospace", fontSize: "0.85rem", width: 90 }}
+      />
+    </TableCell>
+  );
+};
+
+// Vertices of the active shape in normalized coordinates. Edits are reported
+// by index so the builder can apply them to the exact canvas points instead
+// of the rounded values shown here.
+const VertexTable = ({ points, onEdit, onMove, onInsert, onDelete }) => (
+  <Box sx={{ width: 360, maxWidth: "100%" }}>
+    <Typography variant="subtitle1" component="h6" sx={{ fontWeight: 600, mb: 1 }}>
+      Vertices
+    </Typography>
+    <TableContainer sx={{ maxHeight: 320, border: "1px solid #24292E", borderRadius: 2 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            {["#", "X", "Y", ""].map((heading, i) => (
+              <TableCell key={i} sx={{ ...cellSx, backgroundColor: "#181B1F", fontWeight: 600 }}>{heading}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {points.map(([x, y], index) => (
+            <TableRow key={index}>
+              <TableCell sx={{ ...cellSx, color: "#797d7a" }}>{index + 1}</TableCell>
+              <CoordinateCell value={x} label={`X of point ${index + 1}`} onCommit={(value) => onEdit(index, 0, value)} />
+              <CoordinateCell value={y} label={`Y of point ${index + 1}`} onCommit={(value) => onEdit(index, 1, value)} />
+              <TableCell sx={{ ...cellSx, whiteSpace: "nowrap" }} align="right">
+                <IconButton size="small" onClick={() => onMove(index, -1)} disabled={index === 0} aria-label={`Move point ${index + 1} up`}>
+                  <ArrowUpwardIcon sx={iconSx} />
+                </IconButton>
+                <IconButton size="small" onClick={() => onMove(index, 1)} disabled={index === points.length - 1} aria-label={`Move point ${index + 1} down`}>
+                  <ArrowDownwardIcon sx={iconSx} />
+                </IconButton>
+                <IconButton size="small" onClick={() => onInsert(index)} aria-label={`Add a point after point ${index + 1}`}>
+                  <AddIcon sx={iconSx} />
+                </IconButton>
+                <IconButton size="small" onClick={() => onDelete(index)} disabled={points.length <= MIN_POLYGON_POINTS} aria-label={`Delete point ${index + 1}`}>
+                  <DeleteOutlineIcon sx={iconSx} />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Box>
+);
+
+export default VertexTable;
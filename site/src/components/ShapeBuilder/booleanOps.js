@@ -0,0 +1,30 @@
+import polygonClipping from "polygon-clipping";
+
+export const BOOLEAN_OPERATIONS = [
+  { id: "union", label: "Union" },
+  { id: "difference", label: "Subtract" },
+  { id: "intersection", label: "Intersect" },
+];
+
+const closeRing = (points) => [...points, points[0]];
+
+// polygon-clipping works on closed rings and returns a MultiPolygon. A Kanvas
+// shape is a single outline, so anything that is not exactly one polygon
+// without holes is reported instead of being silently trimmed.
+export const combinePolygons = (operation, subject, clip) => {
+  const apply = polygonClipping[operation];
+  if (!apply) throw new Error(`Unknown boolean operation "${operation}"`);
+
+  const result = apply([closeRing(subject)], [closeRing(clip)]);
+  if (result.length === 0) {
+    throw new Error("The result is empty; the shapes do not overlap");
+  }
+  if (result.length > 1) {
+    throw new Error(`The result splits into ${result.length} separate shapes; Kanvas needs a single outline`);
+  }
+  if (result[0].length > 1) {
+    throw new Error("The result has a hole, which a single Kanvas polygon cannot represent");
+  }
+
+  return result[0][0].slice(0, -1);
+};
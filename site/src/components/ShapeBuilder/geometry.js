@@ -0,0 +1,188 @@
+// Pure point helpers shared by the ShapeBuilder canvas. Points are [x, y] pairs
+// in canvas pixels unless a function says otherwise.
+
+export const getBounds = (points) => {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys),
+  };
+};
+
+export const getCenter = (points) => {
+  const { minX, maxX, minY, maxY } = getBounds(points);
+  return [(minX + maxX) / 2, (minY + maxY) / 2];
+};
+
+export const scalePoints = (points, factor, center = getCenter(points)) => {
+  const [cx, cy] = center;
+  return points.map(([x, y]) => [cx + (x - cx) * factor, cy + (y - cy) * factor]);
+};
+
+// Positive angles (radians) turn clockwise on screen since y points down.
+export const rotatePoints = (points, angle, center = getCenter(points)) => {
+  const [cx, cy] = center;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(([x, y]) => [
+    cx + (x - cx) * cos - (y - cy) * sin,
+    cy + (x - cx) * sin + (y - cy) * cos,
+  ]);
+};
+
+// "horizontal" mirrors left-right across the vertical line through the
+// center, "vertical" mirrors top-bottom.
+export const flipPoints = (points, axis, center = getCenter(points)) => {
+  const [cx, cy] = center;
+  return axis === "horizontal"
+    ? points.map(([x, y]) => [2 * cx - x, y])
+    : points.map(([x, y]) => [x, 2 * cy - y]);
+};
+
+export const snapPoint = ([x, y], gridSize) => {
+  if (!gridSize) return [x, y];
+  return [Math.round(x / gridSize) * gridSize, Math.round(y / gridSize) * gridSize];
+};
+
+export const projectOnSegment = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return [ax + t * dx, ay + t * dy];
+};
+
+export const distance = ([ax, ay], [bx, by]) => Math.hypot(bx - ax, by - ay);
+
+// Twice the signed area; positive when the points run clockwise on screen.
+export const signedArea = (points) =>
+  points.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    return sum + (x1 * y2 - x2 * y1);
+  }, 0);
+
+// Returns the closed-polygon edge nearest to `point` as the index of its first
+// vertex, together with the closest point on that edge.
+export const findNearestEdge = (points, point) => {
+  let nearest = null;
+  points.forEach((start, index) => {
+    const end = points[(index + 1) % points.length];
+    const projected = projectOnSegment(point, start, end);
+    const dist = distance(point, projected);
+    if (!nearest || dist < nearest.distance) {
+      nearest = { index, point: projected, distance: dist };
+    }
+  });
+  return nearest;
+};
+
+// Curve samplers return `segments + 1` points including both end points.
+
+export const sampleQuadraticBezier = (start, control, end, segments) =>
+  Array.from({ length: segments + 1 }, (_, i) => {
+    const t = i / segments;
+    const u = 1 - t;
+    return [
+      u * u * start[0] + 2 * u * t * control[0] + t * t * end[0],
+      u * u * start[1] + 2 * u * t * control[1] + t * t * end[1],
+    ];
+  });
+
+export const sampleCubicBezier = (start, control1, control2, end, segments) =>
+  Array.from({ length: segments + 1 }, (_, i) => {
+    const t = i / segments;
+    const u = 1 - t;
+    const a = u * u * u;
+    const b = 3 * u * u * t;
+    const c = 3 * u * t * t;
+    const d = t * t * t;
+    return [
+      a * start[0] + b * control1[0] + c * control2[0] + d * end[0],
+      a * start[1] + b * control1[1] + c * control2[1] + d * end[1],
+    ];
+  });
+
+// Angles are in radians, measured clockwise on screen since y points down.
+export const sampleArc = ([cx, cy], [rx, ry], startAngle, sweep, segments) =>
+  Array.from({ length: segments + 1 }, (_, i) => {
+    const angle = startAngle + (sweep * i) / segments;
+    return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+  });
+
+// Drops each point that sits within `tolerance` of the one before it,
+// including the seam between the last and the first point.
+export const removeConsecutiveDuplicates = (points, tolerance = 0.5) => {
+  const kept = points.filter((point, i) => i === 0 || distance(point, points[i - 1]) > tolerance);
+  while (kept.length > 1 && distance(kept[0], kept[kept.length - 1]) <= tolerance) {
+    kept.pop();
+  }
+  return kept;
+};
+
+const simplifyPath = (points, tolerance) => {
+  if (points.length < 3) return points;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  let index = -1;
+  let maxDistance = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const offset = distance(points[i], projectOnSegment(points[i], first, last));
+    if (offset > maxDistance) {
+      index = i;
+      maxDistance = offset;
+    }
+  }
+
+  if (maxDistance <= tolerance) return [first, last];
+  return [
+    ...simplifyPath(points.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplifyPath(points.slice(index), tolerance),
+  ];
+};
+
+// Ramer–Douglas–Peucker for a closed outline. The ring is split at the vertex
+// farthest from the first one, which survives any tolerance, and each half is
+// simplified on its own. When both halves collapse to the same chord, the
+// point farthest from it is kept as well so the result stays a triangle.
+export const simplifyPolygon = (points, tolerance) => {
+  if (points.length <= 3 || tolerance <= 0) return points;
+
+  const farthest = points.reduce((best, point, i) =>
+    distance(point, points[0]) > distance(points[best], points[0]) ? i : best, 0);
+  if (farthest === 0) return points;
+
+  const ring = [...points, points[0]];
+  const simplified = [
+    ...simplifyPath(ring.slice(0, farthest + 1), tolerance).slice(0, -1),
+    ...simplifyPath(ring.slice(farthest), tolerance).slice(0, -1),
+  ];
+  if (simplified.length >= 3) return simplified;
+
+  const chordOffset = (point) => distance(point, projectOnSegment(point, points[0], points[farthest]));
+  const apex = points.reduce((best, point, i) => (chordOffset(point) > chordOffset(points[best]) ? i : best), 0);
+  if (apex === 0) return points;
+
+  return [0, farthest, apex].sort((a, b) => a - b).map(i => points[i]);
+};
+
+// Averages every point of a closed outline with `radius` neighbours on each
+// side, which takes the jitter out of a hand-drawn stroke.
+export const smoothPolygon = (points, radius) => {
+  if (radius < 1 || points.length <= 2 * radius) return points;
+
+  const count = points.length;
+  return points.map((_, i) => {
+    let sumX = 0;
+    let sumY = 0;
+    for (let offset = -radius; offset <= radius; offset++) {
+      const [x, y] = points[(i + offset + count) % count];
+      sumX += x;
+      sumY += y;
+    }
+    return [sumX / (2 * radius + 1), sumY / (2 * radius + 1)];
+  });
+};
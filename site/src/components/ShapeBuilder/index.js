@@ -1,32 +1,148 @@
 // /* global window */
 import React, { useEffect, useRef, useState } from "react";
-import { Wrapper, CanvasContainer, OutputBox, StyledSVG, CopyButton } from "./shapeBuilder.styles";
-import { Button, Typography, Box, CopyIcon, Select, MenuItem, Slider, FormControl } from "@sistent/sistent";
-import { SVG, extend as SVGextend } from "@svgdotjs/svg.js";
+import { Wrapper, CanvasContainer, DropOverlay, OutputBox, OutputRow, StyledSVG, CopyButton } from "./shapeBuilder.styles";
+import { Button, Typography, Box, CopyIcon, Select, MenuItem, Slider, FormControl, TextField, Tabs, Tab } from "@sistent/sistent";
+import { SVG, Point, extend as SVGextend } from "@svgdotjs/svg.js";
 import draw from "@svgdotjs/svg.draw.js";
+import {
+  distance,
+  findNearestEdge,
+  flipPoints,
+  getCenter,
+  removeConsecutiveDuplicates,
+  rotatePoints,
+  sampleArc,
+  sampleCubicBezier,
+  scalePoints,
+  simplifyPolygon,
+  smoothPolygon,
+} from "./geometry";
+import { useHistory } from "./useHistory";
+import {
+  FRAME_SIZE,
+  MIN_POLYGON_POINTS,
+  clampPoints,
+  denormalizeLength,
+  denormalizePoints,
+  formatPolygonPoints,
+  getFrameCenter,
+  getVisibleArea,
+  isOutOfBounds,
+  normalizePoints,
+  parseCoordinateCommand,
+  parsePolygonPoints,
+  quantizePoints,
+} from "./polygonFormats";
+import { SHAPE_TEMPLATES, fitToUnitSquare } from "./shapeTemplates";
+import GeneratorPanel from "./GeneratorPanel";
+import CurveToolPanel from "./CurveToolPanel";
+import BooleanPanel from "./BooleanPanel";
+import LayersPanel from "./LayersPanel";
+import SymmetryPanel, { MAX_FOLDS, MIN_FOLDS } from "./SymmetryPanel";
+import { applySymmetry, getSymmetryGuides } from "./symmetry";
+import { combinePolygons } from "./booleanOps";
+import { resolveSnap } from "./snapping";
+import SnapPanel from "./SnapPanel";
+import PrecisionPanel, { MAX_PRECISION, MIN_PRECISION } from "./PrecisionPanel";
+import Rulers from "./Rulers";
+import CursorReadout from "./CursorReadout";
+import VertexTable from "./VertexTable";
+import CoordinateEntry from "./CoordinateEntry";
+import ValidationPanel from "./ValidationPanel";
+import SimplifyPanel from "./SimplifyPanel";
+import { OUTPUT_FORMATS, formatOutput, getOutputFormat } from "./outputFormats";
+import ExportPanel from "./ExportPanel";
+import { parseSvgShape } from "./svgImport";
+import { VALIDATION_FIXES, validatePolygon } from "./validation";
+import ImportModal from "../utils/importModal";
+import BoundsGuardModal from "../utils/boundsGuardModal";
 
 SVGextend(SVG.Polygon, draw);
 
 const SCALE_PRESETS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3];
 const MIN_SCALE = 0.1;
 const MAX_SCALE = 3;
+const ROTATION_PRESETS = Array.from({ length: 25 }, (_, i) => i * 15 - 180);
+const ROTATION_MARKS = ROTATION_PRESETS.map(value => ({ value, label: "" }));
+const HANDLE_SIZE = 10;
+const EDGE_HIT_DISTANCE = 8;
+const FREE_SNAP = 0.001;
+const SAME_POINT_TOLERANCE = 1e-6;
+const ALIGN_THRESHOLD = 6;
+const MAX_CURVE_SEGMENTS = 64;
+const FREEHAND_SAMPLE_DISTANCE = 2;
+const FREEHAND_SMOOTHING = 2;
+const FREEHAND_TOLERANCE = 0.01;
+const INITIAL_LAYER = { id: 1, name: "Layer 1", visible: true, locked: false, points: [] };
+const EMPTY_SNAPSHOT = {
+  points: [],
+  closed: false,
+  scale: 1,
+  rotation: 0,
+  basePoints: null,
+  pivot: null,
+  layers: [INITIAL_LAYER],
+  activeLayerId: INITIAL_LAYER.id,
+};
+
+const clonePoints = (points) => (points ? points.map(([x, y]) => [x, y]) : null);
+
+// Round-tripping through normalized space can move a point by a rounding
+// error, which should not count as an edit.
+const isSameOutline = (a, b) =>
+  a.length === b.length && a.every((point, i) => distance(point, b[i]) < SAME_POINT_TOLERANCE);
 
 const ShapeBuilder = () => {
   const boardRef = useRef(null);
+  const canvasRef = useRef(null);
   const polyRef = useRef(null);
+  const handlesRef = useRef(null);
+  const selectedVertexRef = useRef(null);
   const keyHandlersRef = useRef({});
   const basePointsRef = useRef(null);
+  const scaleRef = useRef(1);
+  const rotationRef = useRef(0);
+  const rotationAtFocusRef = useRef(0);
+  const pivotRef = useRef(null);
+  const closedRef = useRef(false);
+  const restoringRef = useRef(false);
+  const layersRef = useRef([INITIAL_LAYER]);
+  const activeLayerIdRef = useRef(INITIAL_LAYER.id);
+  const layerCountRef = useRef(INITIAL_LAYER.id);
+  const layerGroupsRef = useRef({});
+  const symmetryRef = useRef({ mode: "none", folds: 6 });
+  const snapRef = useRef({ divisions: 16, angleStep: 15, align: true });
+  const snapGuidesRef = useRef(null);
+  const outputSettingsRef = useRef({ precision: 4, fractions: "off" });
+  const svgInputRef = useRef(null);
   const [result, setResult] = useState("");
+  const [shapePoints, setShapePoints] = useState([]);
+  const [outputPoints, setOutputPoints] = useState([]);
+  const [boundsGuardOpen, setBoundsGuardOpen] = useState(false);
   const [error, setError] = useState(null);
   const [showCopied, setShowCopied] = useState(false);
   const [scale, setScale] = useState(1);
   const [currentPreset, setCurrentPreset] = useState(1);
+  const [rotation, setRotation] = useState(0);
+  const [rotationInput, setRotationInput] = useState("0");
+  const [visibleArea, setVisibleArea] = useState(() => getVisibleArea(FRAME_SIZE, FRAME_SIZE));
+  const [isClosed, setIsClosed] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [layers, setLayers] = useState([INITIAL_LAYER]);
+  const [activeLayerId, setActiveLayerId] = useState(INITIAL_LAYER.id);
+  const [symmetrySettings, setSymmetrySettings] = useState(symmetryRef.current);
+  const [snapSettings, setSnapSettings] = useState(snapRef.current);
+  const [outputSettings, setOutputSettings] = useState(outputSettingsRef.current);
+  const [simplifyTolerance, setSimplifyTolerance] = useState(0);
+  const [outputFormat, setOutputFormat] = useState(OUTPUT_FORMATS[0].id);
+  const [curveSettings, setCurveSettings] = useState({ tool: "line", segments: 8, sweep: 90, radius: 0 });
+  const history = useHistory(EMPTY_SNAPSHOT);
 
-  const handleCopyToClipboard = async () => {
-    if (!result.trim()) return;
-
+  const copyToClipboard = async (text) => {
     try {
-      await navigator.clipboard.writeText(result);
+      await navigator.clipboard.writeText(text);
       setShowCopied(true);
       setTimeout(() => setShowCopied(false), 2000);
     } catch (err) {
@@ -34,6 +150,27 @@ const ShapeBuilder = () => {
     }
   };
 
+  const outOfBoundsCount = outputPoints.filter(isOutOfBounds).length;
+  const validationIssues = validatePolygon(shapePoints);
+  const simplifiedCount = simplifyPolygon(shapePoints, simplifyTolerance).length;
+
+  // Coordinates outside the unit box would be clipped by Kanvas, so copying
+  // them goes through the guard instead.
+  const handleCopyToClipboard = () => {
+    if (!result.trim()) return;
+
+    if (outOfBoundsCount > 0) {
+      setBoundsGuardOpen(true);
+      return;
+    }
+    copyToClipboard(formatOutput(outputFormat, outputPoints));
+  };
+
+  const copyActiveShape = () => {
+    const points = getPlottedPoints(polyRef.current);
+    if (points) copyToClipboard(formatOutput(outputFormat, getOutputPoints(points)));
+  };
+
   const getPlottedPoints = (poly) => {
     if (!poly) return null;
     const plotted = poly.plot();
@@ -41,6 +178,21 @@ const ShapeBuilder = () => {
     return Array.isArray(points) ? points : null;
   };
 
+  const getOutputPoints = (points) => {
+    const { precision, fractions } = outputSettingsRef.current;
+    const decimals = Math.max(MIN_PRECISION, Math.min(MAX_PRECISION, Math.round(Number(precision)) || 0));
+    return quantizePoints(normalizePoints(points), { precision: decimals, fractions });
+  };
+
+  // Validation and simplification work on the exact normalized points, the
+  // same ones their fixes are applied to; only the text output is rounded.
+  const updateOutput = (points) => {
+    const quantized = getOutputPoints(points);
+    setShapePoints(normalizePoints(points));
+    setOutputPoints(quantized);
+    setResult(formatPolygonPoints(quantized));
+  };
+
   const showCytoArray = () => {
     const poly = polyRef.current;
     if (!poly) return;
@@ -49,11 +201,7 @@ const ShapeBuilder = () => {
       const points = getPlottedPoints(poly);
       if (!points) throw new Error("Invalid or empty polygon points");
 
-      const normalized = points
-        .map(([x, y]) => [(x - 260) / 260, (y - 260) / 260])
-        .flat()
-        .join(" ");
-      setResult(normalized);
+      updateOutput(points);
       setError(null);
     } catch (err) {
       setError("Failed to extract and normalize polygon points.");
@@ -61,92 +209,460 @@ const ShapeBuilder = () => {
     }
   };
 
-  const applyScale = (newScale) => {
+  // The baseline is the untransformed shape. Scale and rotation are always
+  // applied to it around the pivot, the bounding-box center of the baseline
+  // when it was set, so the two compose instead of overwriting each other.
+  const setBaseline = (points) => {
+    basePointsRef.current = clonePoints(points);
+    pivotRef.current = points ? getCenter(points) : null;
+  };
+
+  // Only closed shapes are transformed; while drawing, the baseline would be
+  // missing every point placed after it was taken.
+  const applyTransform = (newScale, newRotation) => {
     const poly = polyRef.current;
-    if (!poly) return;
+    if (!poly || !closedRef.current) return;
 
     const points = getPlottedPoints(poly);
     if (!points || points.length === 0) return;
-    
+
     if (!basePointsRef.current) {
-      basePointsRef.current = points;
+      setBaseline(points);
     }
 
-    const basePoints = basePointsRef.current;
+    const pivot = pivotRef.current;
+    const scaled = scalePoints(basePointsRef.current, newScale, pivot);
+    poly.plot(rotatePoints(scaled, (newRotation * Math.PI) / 180, pivot));
+    refreshVertexHandles();
+    showCytoArray();
+  };
+
+  const applyScale = (newScale) => applyTransform(newScale, rotationRef.current);
 
-    const xs = basePoints.map(p => p[0]);
-    const ys = basePoints.map(p => p[1]);
-    const centerX = (Math.max(...xs) + Math.min(...xs)) / 2;
-    const centerY = (Math.max(...ys) + Math.min(...ys)) / 2;
+  const applyRotation = (newRotation) => applyTransform(scaleRef.current, newRotation);
 
-    const scaledPoints = basePoints.map(([x, y]) => {
-      const dx = x - centerX;
-      const dy = y - centerY;
-      return [centerX + dx * newScale, centerY + dy * newScale];
-    });
+  // Edited points are displayed points, so undo the rotation and the scale
+  // around the same pivot to get back to the baseline.
+  const syncBasePoints = (points) => {
+    if (!pivotRef.current) pivotRef.current = getCenter(points);
 
-    poly.plot(scaledPoints);
+    const pivot = pivotRef.current;
+    const unrotated = rotatePoints(points, (-rotationRef.current * Math.PI) / 180, pivot);
+    basePointsRef.current = scalePoints(unrotated, 1 / scaleRef.current, pivot);
+  };
+
+  const updateEditedPoints = (points) => {
+    polyRef.current.plot(points);
+    syncBasePoints(points);
     showCytoArray();
   };
 
+  const removeVertexHandles = () => {
+    if (handlesRef.current) {
+      handlesRef.current.remove();
+      handlesRef.current = null;
+    }
+  };
+
+  const selectVertex = (index) => {
+    selectedVertexRef.current = index;
+    if (!handlesRef.current) return;
+    handlesRef.current.children().forEach((handle, i) => {
+      if (i === index) handle.addClass("selected");
+      else handle.removeClass("selected");
+    });
+  };
+
+  const startVertexDrag = (event, index, handle) => {
+    const poly = polyRef.current;
+    const canvas = canvasRef.current;
+    if (!poly || !canvas) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    selectVertex(index);
+
+    const handleMove = (e) => {
+      const points = getPlottedPoints(poly);
+      if (!points || !points[index]) return;
+
+      const anchor = points[(index - 1 + points.length) % points.length];
+      const others = points.filter((p, i) => i !== index);
+      const { point: next, guides } = snapCanvasPoint(e, anchor, others);
+      const updated = points.map((p, i) => (i === index ? next : p));
+
+      showSnapGuides(guides);
+      handle.center(next[0], next[1]);
+      updateEditedPoints(updated);
+    };
+
+    let moved = false;
+    const trackedMove = (e) => {
+      moved = true;
+      handleMove(e);
+    };
+
+    const handleUp = () => {
+      window.removeEventListener("pointermove", trackedMove);
+      window.removeEventListener("pointerup", handleUp);
+      clearSnapGuides();
+      if (moved) recordHistory();
+    };
+
+    window.addEventListener("pointermove", trackedMove);
+    window.addEventListener("pointerup", handleUp);
+  };
+
+  const renderVertexHandles = () => {
+    removeVertexHandles();
+
+    const poly = polyRef.current;
+    const canvas = canvasRef.current;
+    const points = getPlottedPoints(poly);
+    if (!canvas || !points) return;
+
+    const group = canvas.group().addClass("vertex-handles");
+    points.forEach(([x, y], index) => {
+      const handle = group.circle(HANDLE_SIZE).center(x, y).addClass("vertex-handle");
+      if (index === selectedVertexRef.current) handle.addClass("selected");
+      handle.on("pointerdown", (e) => startVertexDrag(e, index, handle));
+    });
+    handlesRef.current = group;
+  };
+
+  const refreshVertexHandles = () => {
+    if (handlesRef.current) renderVertexHandles();
+  };
+
+  const toggleEditMode = () => {
+    if (!closedRef.current) return;
+
+    if (isEditing) {
+      removeVertexHandles();
+      selectedVertexRef.current = null;
+      setIsEditing(false);
+    } else {
+      renderVertexHandles();
+      setIsEditing(true);
+    }
+  };
+
+  const insertVertexAt = (event) => {
+    const poly = polyRef.current;
+    const canvas = canvasRef.current;
+    const points = getPlottedPoints(poly);
+    if (!canvas || !points || points.length < 2) return;
+
+    const { x, y } = canvas.point(event.clientX, event.clientY);
+    if (points.some(p => distance(p, [x, y]) <= HANDLE_SIZE)) return;
+
+    const edge = findNearestEdge(points, [x, y]);
+    if (!edge || edge.distance > EDGE_HIT_DISTANCE) return;
+
+    const updated = [...points];
+    updated.splice(edge.index + 1, 0, edge.point);
+    selectedVertexRef.current = edge.index + 1;
+    updateEditedPoints(updated);
+    renderVertexHandles();
+    recordHistory();
+  };
+
+  const deleteSelectedVertex = () => {
+    const index = selectedVertexRef.current;
+    const points = getPlottedPoints(polyRef.current);
+    if (index === null || !points || points.length <= MIN_POLYGON_POINTS) return;
+
+    selectedVertexRef.current = null;
+    updateEditedPoints(points.filter((_, i) => i !== index));
+    renderVertexHandles();
+    recordHistory();
+  };
+
+  // Vertex table edits are applied to the exact canvas points; the table
+  // itself only shows the rounded output values.
+  const editVertices = (update) => {
+    const points = getPlottedPoints(polyRef.current);
+    if (!closedRef.current || !points) return;
+
+    const updated = update(clonePoints(points));
+    if (updated.length < MIN_POLYGON_POINTS || isSameOutline(updated, points)) return;
+
+    selectedVertexRef.current = null;
+    updateEditedPoints(updated);
+    refreshVertexHandles();
+    recordHistory();
+  };
+
+  const setVertexCoordinate = (index, axis, value) => {
+    editVertices((points) => {
+      const normalized = normalizePoints([points[index]])[0];
+      normalized[axis] = value;
+      points[index] = denormalizePoints([normalized])[0];
+      return points;
+    });
+  };
+
+  const moveVertex = (index, offset) => {
+    editVertices((points) => {
+      const target = index + offset;
+      if (target < 0 || target >= points.length) return points;
+      [points[index], points[target]] = [points[target], points[index]];
+      return points;
+    });
+  };
+
+  // New rows start halfway along the edge to the following vertex.
+  const insertVertexAfter = (index) => {
+    editVertices((points) => {
+      const [ax, ay] = points[index];
+      const [bx, by] = points[(index + 1) % points.length];
+      points.splice(index + 1, 0, [(ax + bx) / 2, (ay + by) / 2]);
+      return points;
+    });
+  };
+
+  const deleteVertex = (index) => {
+    editVertices((points) => points.filter((_, i) => i !== index));
+  };
+
+  const simplifyShape = () => {
+    editVertices((points) => denormalizePoints(simplifyPolygon(normalizePoints(points), simplifyTolerance)));
+    setSimplifyTolerance(0);
+  };
+
+  // Previews the simplified outline over the current one while the
+  // tolerance is above zero.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !isClosed || simplifyTolerance === 0 || shapePoints.length === 0) return;
+
+    const simplified = denormalizePoints(simplifyPolygon(shapePoints, simplifyTolerance));
+    const preview = canvas.group().addClass("simplify-preview");
+    preview.polygon(simplified);
+    simplified.forEach(([x, y]) => {
+      preview.circle(HANDLE_SIZE).center(x, y);
+    });
+
+    return () => preview.remove();
+  }, [isClosed, simplifyTolerance, shapePoints]);
+
+  // Fixes run on the exact points, normalized so the validation tolerances
+  // mean the same thing they did when the problem was found.
+  const applyValidationFix = (fixId) => {
+    try {
+      editVertices((points) => denormalizePoints(VALIDATION_FIXES[fixId].apply(normalizePoints(points))));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCanvasClick = (event) => {
+    if (isEditing) insertVertexAt(event);
+  };
+
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const handleEditKeyDown = (e) => {
+      if (e.key !== "Delete" && e.key !== "Backspace") return;
+      if (e.target.closest && e.target.closest("input, textarea")) return;
+      e.preventDefault();
+      deleteSelectedVertex();
+    };
+
+    document.addEventListener("keydown", handleEditKeyDown);
+    return () => document.removeEventListener("keydown", handleEditKeyDown);
+  }, [isEditing]);
+
+  const updateScaleState = (newScale) => {
+    scaleRef.current = newScale;
+    setScale(newScale);
+
+    const matchingPreset = SCALE_PRESETS.find(p => Math.abs(p - newScale) < 0.01);
+    setCurrentPreset(matchingPreset || newScale);
+  };
+
   const handleScaleChange = (newScale) => {
     const clampedScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, newScale));
-    setScale(clampedScale);
-    
-    const matchingPreset = SCALE_PRESETS.find(p => Math.abs(p - clampedScale) < 0.01);
-    setCurrentPreset(matchingPreset || clampedScale);
-    
+    updateScaleState(clampedScale);
     applyScale(clampedScale);
   };
 
   const handlePresetChange = (event) => {
     const newPreset = event.target.value;
-    setCurrentPreset(newPreset);
-    setScale(newPreset);
+    updateScaleState(newPreset);
     applyScale(newPreset);
+    recordHistory();
   };
 
   const handleSliderChange = (event, newValue) => {
     handleScaleChange(newValue);
   };
 
-  const handleKeyDown = (e) => {
-    const poly = polyRef.current;
-    if (!poly) return;
+  const updateRotationState = (newRotation) => {
+    rotationRef.current = newRotation;
+    setRotation(newRotation);
+  };
 
-    if (e.ctrlKey) {
-      poly.draw("param", "snapToGrid", 0.001);
-    }
+  const handleRotationChange = (newRotation) => {
+    // A number field reports "" while the text is only "-" or "1e".
+    if (newRotation === "") return;
 
-    if (e.key === "Enter" || e.key === "Escape") {
-      poly.draw("done");
-      poly.fill("#00B39F");
-      showCytoArray();
-    }
+    const value = Number(newRotation);
+    if (!Number.isFinite(value)) return;
 
-    if (e.ctrlKey && e.key.toLowerCase() === "z") {
-      const points = getPlottedPoints(poly);
-      if (!points) return;
-      poly.plot(points.slice(0, -1));
+    const wrapped = Math.abs(value) <= 180 ? value : ((((value + 180) % 360) + 360) % 360) - 180;
+    updateRotationState(wrapped);
+    applyRotation(wrapped);
+  };
+
+  // Keeps the typed text while it still matches the rotation, so partial
+  // input survives; the slider, presets and undo replace it.
+  useEffect(() => {
+    setRotationInput(input => (input !== "" && Number(input) === rotation ? input : String(rotation)));
+  }, [rotation]);
+
+  const handleRotationInputChange = (event) => {
+    setRotationInput(event.target.value);
+    handleRotationChange(event.target.value);
+  };
+
+  const handleRotationInputFocus = () => {
+    rotationAtFocusRef.current = rotationRef.current;
+  };
+
+  // Only an actual change is worth an undo step.
+  const handleRotationInputBlur = () => {
+    setRotationInput(String(rotationRef.current));
+    if (rotationRef.current !== rotationAtFocusRef.current) recordHistory();
+  };
+
+  const handleRotationPresetChange = (event) => {
+    handleRotationChange(event.target.value);
+    recordHistory();
+  };
+
+  // Mirroring the displayed shape equals mirroring the baseline and turning
+  // the other way, which keeps scale and rotation intact.
+  const flipShape = (axis) => {
+    if (!closedRef.current || !basePointsRef.current) return;
+
+    basePointsRef.current = flipPoints(basePointsRef.current, axis, pivotRef.current);
+    updateRotationState(-rotationRef.current || 0);
+    applyTransform(scaleRef.current, rotationRef.current);
+    recordHistory();
+  };
+
+  const handleOutputSettingsChange = (changes) => {
+    const next = { ...outputSettingsRef.current, ...changes };
+    outputSettingsRef.current = next;
+    setOutputSettings(next);
+    if (closedRef.current) showCytoArray();
+  };
+
+  const handleSnapChange = (changes) => {
+    const next = { ...snapRef.current, ...changes };
+    snapRef.current = next;
+    setSnapSettings(next);
+  };
+
+  const getGridSize = () => denormalizeLength(1 / snapRef.current.divisions);
+
+  // Vertices of the other visible layers count as alignment targets too.
+  const getLayerVertices = () =>
+    layersRef.current
+      .filter(layer => layer.visible && layer.id !== activeLayerIdRef.current)
+      .flatMap(layer => layer.points);
+
+  // Modifier keys are read off the pointer event: Ctrl places the point
+  // freely, Shift constrains the segment from `anchor` to the angle step.
+  const snapCanvasPoint = (e, anchor, references = []) => {
+    const { x, y } = canvasRef.current.point(e.clientX, e.clientY);
+    const { angleStep, align } = snapRef.current;
+
+    return resolveSnap([x, y], {
+      gridSize: getGridSize(),
+      anchor,
+      references: [...references, ...getLayerVertices()],
+      free: e.ctrlKey,
+      constrain: e.shiftKey,
+      angleStep,
+      align,
+      threshold: ALIGN_THRESHOLD,
+    });
+  };
+
+  const showSnapGuides = (guides) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    if (!snapGuidesRef.current) {
+      snapGuidesRef.current = canvas.group().addClass("snap-guides");
     }
+    const group = snapGuidesRef.current.clear().front();
+    guides.forEach(([start, end]) => {
+      group.line(start[0], start[1], end[0], end[1]);
+    });
+  };
+
+  const clearSnapGuides = () => {
+    if (snapGuidesRef.current) snapGuidesRef.current.clear();
+  };
+
+  // The draw plugin only knows a plain grid, so it runs unsnapped and the
+  // cursor point it tracks is replaced with the resolved one on every update.
+  // A click commits whatever the cursor point was last resolved to.
+  const snapDrawingCursor = (event) => {
+    const poly = polyRef.current;
+    const points = getPlottedPoints(poly);
+    const e = event.detail && event.detail.event;
+    if (!e || !points || points.length < 2) return;
+
+    const committed = points.slice(0, -1);
+    const { point, guides } = snapCanvasPoint(e, committed[committed.length - 1], committed);
+    poly.plot([...committed, point]);
+    showSnapGuides(guides);
+  };
+
+  // Clicks replayed by resumeDrawing are synthetic and already exact.
+  const snapDrawingStart = (event) => {
+    const e = event.detail && event.detail.event;
+    if (!e || !e.isTrusted) return;
+
+    const { point } = snapCanvasPoint(e, null);
+    polyRef.current.plot([point, point]);
+  };
+
+  // Where a click would place the next vertex, or null when not drawing.
+  // Once drawing has started the plugin's cursor point is already resolved.
+  const getNextVertex = (e) => {
+    if (closedRef.current || !canvasRef.current) return null;
+
+    const points = getPlottedPoints(polyRef.current);
+    if (points && points.length >= 2) return points[points.length - 1];
+    return snapCanvasPoint(e, null).point;
   };
 
-  const handleKeyUp = (e) => {
+  // Typed coordinates go to the coordinate field, so Enter there places a
+  // point instead of closing the shape.
+  const handleKeyDown = (e) => {
     const poly = polyRef.current;
-    if (!poly || e.ctrlKey) return;
-    poly.draw("param", "snapToGrid", 16);
+    if (!poly) return;
+    if (e.target.closest && e.target.closest("input, textarea")) return;
+
+    if (e.key === "Enter" || e.key === "Escape") {
+      closeShape();
+    }
   };
 
   const attachKeyListeners = () => {
     document.addEventListener("keydown", handleKeyDown);
-    document.addEventListener("keyup", handleKeyUp);
-    keyHandlersRef.current = { handleKeyDown, handleKeyUp };
+    keyHandlersRef.current = { handleKeyDown };
   };
 
   const detachKeyListeners = () => {
-    const { handleKeyDown, handleKeyUp } = keyHandlersRef.current;
+    const { handleKeyDown } = keyHandlersRef.current;
     if (handleKeyDown) document.removeEventListener("keydown", handleKeyDown);
-    if (handleKeyUp) document.removeEventListener("keyup", handleKeyUp);
     keyHandlersRef.current = {};
   };
 
@@ -157,80 +673,731 @@ const ShapeBuilder = () => {
     }
 
     try {
-      const draw = SVG()
-        .addTo(boardRef.current)
-        .size("100%", "100%")
+      if (!canvasRef.current) {
+        canvasRef.current = SVG().addTo(boardRef.current).size(FRAME_SIZE, FRAME_SIZE).attr({ overflow: "visible" });
+      }
+
+      const draw = canvasRef.current
         .polygon()
         .draw()
         .attr({ stroke: "#00B39F", "stroke-width": 1, fill: "none" });
 
-      draw.draw("param", "snapToGrid", 16);
-      draw.on("drawstart", attachKeyListeners);
-      draw.on("drawdone", detachKeyListeners);
+      draw.draw("param", "snapToGrid", FREE_SNAP);
+      draw.on("drawstart", (event) => {
+        snapDrawingStart(event);
+        attachKeyListeners();
+        recordHistory();
+      });
+      draw.on("drawupdate", snapDrawingCursor);
+      draw.on("drawpoint", recordHistory);
+      draw.on("drawdone", () => {
+        detachKeyListeners();
+        clearSnapGuides();
+      });
 
       polyRef.current = draw;
+      arrangeLayers();
       setError(null);
     } catch (err) {
       setError(`Failed to initialize drawing: ${err.message}`);
     }
   };
 
-  const clearShape = () => {
+  // Replays the committed points as clicks so the draw plugin picks up where
+  // the snapshot left off, then restores the exact (possibly off-grid) values.
+  const resumeDrawing = (points) => {
+    initializeDrawing();
+
     const poly = polyRef.current;
-    if (!poly) return;
+    const canvas = canvasRef.current;
+    if (!poly || !canvas || points.length === 0) return;
+
+    const ctm = canvas.screenCTM();
+    points.forEach(([x, y]) => {
+      const { x: clientX, y: clientY } = new Point(x, y).transform(ctm);
+      poly.draw(new MouseEvent("click", { clientX, clientY }));
+    });
+    poly.plot([...points, points[points.length - 1]]);
+  };
+
+  const plotClosedShape = (points) => {
+    polyRef.current = canvasRef.current
+      .polygon(points)
+      .attr({ stroke: "#00B39F", "stroke-width": 1 })
+      .fill("#00B39F");
+    closedRef.current = true;
+    setIsClosed(true);
+    arrangeLayers();
+  };
 
-    poly.draw("cancel");
-    poly.remove();
+  const disposeShape = () => {
     detachKeyListeners();
-    polyRef.current = null;
-    basePointsRef.current = null;
-    setResult("");
-    setScale(1);
-    setCurrentPreset(1);
+    clearSnapGuides();
+    removeVertexHandles();
+    selectedVertexRef.current = null;
+    if (polyRef.current) {
+      polyRef.current.draw("cancel");
+      polyRef.current.remove();
+      polyRef.current = null;
+    }
+  };
+
+  const captureSnapshot = () => {
+    const points = getPlottedPoints(polyRef.current) || [];
+    return {
+      points: clonePoints(closedRef.current ? points : points.slice(0, -1)),
+      closed: closedRef.current,
+      scale: scaleRef.current,
+      rotation: rotationRef.current,
+      basePoints: clonePoints(basePointsRef.current),
+      pivot: pivotRef.current,
+      layers: layersRef.current,
+      activeLayerId: activeLayerIdRef.current,
+    };
+  };
+
+  const recordHistory = () => {
+    if (restoringRef.current) return;
+    history.record(captureSnapshot());
+  };
+
+  const restoreSnapshot = (snapshot) => {
+    if (!snapshot || !canvasRef.current) return;
+
+    const wasEditing = Boolean(handlesRef.current);
+    restoringRef.current = true;
+    disposeShape();
+    closedRef.current = false;
+    basePointsRef.current = clonePoints(snapshot.basePoints);
+    pivotRef.current = snapshot.pivot;
+    updateScaleState(snapshot.scale);
+    updateRotationState(snapshot.rotation);
+    updateLayers(snapshot.layers, snapshot.activeLayerId);
+
+    if (snapshot.closed) {
+      plotClosedShape(clonePoints(snapshot.points));
+      showCytoArray();
+      if (wasEditing) renderVertexHandles();
+    } else {
+      setIsClosed(false);
+      setIsEditing(false);
+      updateOutput([]);
+      resumeDrawing(clonePoints(snapshot.points));
+    }
+    restoringRef.current = false;
+  };
+
+  const appendDrawingPoints = (newPoints) => {
+    const poly = polyRef.current;
+    const points = getPlottedPoints(poly);
+    if (!points || newPoints.length === 0) return;
+
+    const next = [...points.slice(0, -1), ...newPoints];
+    poly.plot([...next, next[next.length - 1]]);
+    recordHistory();
+  };
+
+  // Places a typed vertex. Relative entries are measured from the last
+  // committed point; the first point starts the drawing through the plugin
+  // just like a click would.
+  const placeTypedPoint = (text) => {
+    const poly = polyRef.current;
+    const canvas = canvasRef.current;
+    if (!poly || !canvas || closedRef.current) return;
+
+    const points = getPlottedPoints(poly);
+    const committed = points && points.length >= 2 ? points.slice(0, -1) : [];
+    const previous = committed.length ? normalizePoints([committed[committed.length - 1]])[0] : null;
+    const [point] = denormalizePoints([parseCoordinateCommand(text, previous)]);
+
+    if (committed.length) {
+      appendDrawingPoints([point]);
+      return;
+    }
+
+    const { x: clientX, y: clientY } = new Point(point[0], point[1]).transform(canvas.screenCTM());
+    poly.draw(new MouseEvent("click", { clientX, clientY }));
+    poly.plot([point, point]);
+  };
+
+  const handleCurveSettingsChange = (changes) => {
+    setCurveSettings((current) => ({ ...current, ...changes }));
+  };
+
+  // While a curve or arc tool is active, a transparent overlay takes the
+  // canvas clicks away from the draw plugin. The curve tool collects two
+  // control points and an end point; the arc tool only needs its center.
+  // Both start from the last committed vertex and append the sampled points.
+  useEffect(() => {
+    const board = boardRef.current;
+    const canvas = canvasRef.current;
+    if (!board || !canvas || isClosed || curveSettings.tool === "line" || curveSettings.tool === "freehand") return;
+
+    const segments = Math.max(1, Math.min(MAX_CURVE_SEGMENTS, Math.round(Number(curveSettings.segments)) || 1));
+    const sweep = ((Number(curveSettings.sweep) || 0) * Math.PI) / 180;
+    const radius = denormalizeLength(Math.max(0, Number(curveSettings.radius) || 0));
+    const pending = [];
+
+    const overlay = canvas
+      .rect(visibleArea.width, visibleArea.height)
+      .move(visibleArea.x, visibleArea.y)
+      .addClass("tool-overlay");
+    const preview = canvas.group().addClass("tool-preview");
+    board.classList.add("tool-active");
+
+    const getAnchor = () => {
+      const points = getPlottedPoints(polyRef.current);
+      return points && points.length >= 2 ? points[points.length - 2] : null;
+    };
+
+    const toCanvasPoint = (e) => {
+      const points = getPlottedPoints(polyRef.current) || [];
+      return snapCanvasPoint(e, getAnchor(), points.slice(0, -1)).point;
+    };
+
+    const sampleTool = (anchor, cursor) => {
+      if (curveSettings.tool === "curve") {
+        const [control1, control2] = [...pending, cursor, cursor];
+        return sampleCubicBezier(anchor, control1, control2, cursor, segments).slice(1);
+      }
+
+      const arcRadius = radius || distance(anchor, cursor);
+      const startAngle = Math.atan2(anchor[1] - cursor[1], anchor[0] - cursor[0]);
+      const sampled = sampleArc(cursor, [arcRadius, arcRadius], startAngle, sweep, segments);
+      return distance(sampled[0], anchor) < 0.5 ? sampled.slice(1) : sampled;
+    };
+
+    const handleMove = (e) => {
+      preview.clear();
+      const anchor = getAnchor();
+      if (!anchor) return;
+
+      const cursor = toCanvasPoint(e);
+      preview.polyline([anchor, ...pending, cursor]).addClass("guide");
+      preview.polyline([anchor, ...sampleTool(anchor, cursor)]).addClass("curve");
+    };
+
+    const handleClick = (e) => {
+      e.stopPropagation();
+      const anchor = getAnchor();
+      if (!anchor) {
+        polyRef.current.draw(e);
+        return;
+      }
+
+      const cursor = toCanvasPoint(e);
+      if (curveSettings.tool === "curve" && pending.length < 2) {
+        pending.push(cursor);
+        return;
+      }
+
+      appendDrawingPoints(sampleTool(anchor, cursor));
+      pending.length = 0;
+      preview.clear();
+    };
+
+    overlay.on("click", handleClick);
+    overlay.on("pointermove", handleMove);
+
+    return () => {
+      overlay.remove();
+      preview.remove();
+      board.classList.remove("tool-active");
+    };
+  }, [isClosed, curveSettings, visibleArea]);
+
+  // Freehand mode records the pointer while it is held down. On release the
+  // stroke is closed, smoothed and simplified, and loaded as the active shape.
+  useEffect(() => {
+    const board = boardRef.current;
+    const canvas = canvasRef.current;
+    if (!board || !canvas || isClosed || curveSettings.tool !== "freehand") return;
+
+    const overlay = canvas
+      .rect(visibleArea.width, visibleArea.height)
+      .move(visibleArea.x, visibleArea.y)
+      .addClass("tool-overlay");
+    const preview = canvas.group().addClass("tool-preview");
+    board.classList.add("tool-active");
+
+    let stroke = null;
+    let line = null;
+
+    const toCanvasPoint = (e) => {
+      const { x, y } = canvas.point(e.clientX, e.clientY);
+      return [x, y];
+    };
+
+    const handleDown = (e) => {
+      if (e.button !== 0) return;
+      overlay.node.setPointerCapture(e.pointerId);
+      stroke = [toCanvasPoint(e)];
+      line = preview.polyline(stroke).addClass("curve");
+    };
+
+    const handleMove = (e) => {
+      if (!stroke) return;
+      const point = toCanvasPoint(e);
+      if (distance(point, stroke[stroke.length - 1]) < FREEHAND_SAMPLE_DISTANCE) return;
+      stroke.push(point);
+      line.plot(stroke);
+    };
+
+    const handleUp = () => {
+      if (!stroke) return;
+      const recorded = removeConsecutiveDuplicates(stroke);
+      stroke = null;
+      preview.clear();
+
+      const smoothed = smoothPolygon(recorded, FREEHAND_SMOOTHING);
+      const outline = simplifyPolygon(smoothed, denormalizeLength(FREEHAND_TOLERANCE));
+      if (outline.length >= MIN_POLYGON_POINTS) loadShape(outline);
+    };
+
+    overlay.on("pointerdown", handleDown);
+    overlay.on("pointermove", handleMove);
+    overlay.on("pointerup pointercancel", handleUp);
+    overlay.on("click", (e) => e.stopPropagation());
+
+    return () => {
+      overlay.remove();
+      preview.remove();
+      board.classList.remove("tool-active");
+    };
+  }, [isClosed, curveSettings.tool, visibleArea]);
+
+  const handleSymmetryChange = (changes) => {
+    const next = { ...symmetrySettings, ...changes };
+    symmetryRef.current = next;
+    setSymmetrySettings(next);
+  };
+
+  const getSymmetry = () => {
+    const { mode, folds } = symmetryRef.current;
+    return { mode, folds: Math.max(MIN_FOLDS, Math.min(MAX_FOLDS, Math.round(Number(folds)) || MIN_FOLDS)) };
+  };
+
+  // Draws the symmetry axes, and while a shape is being drawn previews the
+  // full outline that closing it will produce.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || symmetrySettings.mode === "none") return;
+
+    const symmetry = getSymmetry();
+    const center = getFrameCenter();
+    const guides = canvas.group().addClass("symmetry-guides").back();
+    getSymmetryGuides(symmetry, center).forEach(([start, end]) => {
+      guides.line(start[0], start[1], end[0], end[1]);
+    });
+
+    const preview = canvas.polygon().addClass("symmetry-preview");
+    const updatePreview = () => {
+      const points = closedRef.current ? null : getPlottedPoints(polyRef.current);
+      preview.plot(points && points.length > 1 ? applySymmetry(points, symmetry, center) : []);
+    };
+
+    window.addEventListener("pointermove", updatePreview);
+    window.addEventListener("click", updatePreview);
+    updatePreview();
+
+    return () => {
+      window.removeEventListener("pointermove", updatePreview);
+      window.removeEventListener("click", updatePreview);
+      guides.remove();
+      preview.remove();
+    };
+  }, [symmetrySettings, isClosed]);
+
+  const handleUndo = () => restoreSnapshot(history.undo());
+
+  const handleRedo = () => restoreSnapshot(history.redo());
+
+  useEffect(() => {
+    const handleHistoryKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest && e.target.closest("input, textarea")) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    document.addEventListener("keydown", handleHistoryKeyDown);
+    return () => document.removeEventListener("keydown", handleHistoryKeyDown);
+  });
+
+  const replaceActiveShape = (points) => {
+    disposeShape();
+    setBaseline(points);
+    updateScaleState(1);
+    updateRotationState(0);
+    setIsEditing(false);
+    plotClosedShape(points);
+    showCytoArray();
+  };
+
+  // Replaces the active shape with a closed polygon given in canvas pixels and
+  // opens it for vertex editing.
+  const loadShape = (points) => {
+    if (!canvasRef.current) return;
+
+    replaceActiveShape(points);
+    renderVertexHandles();
+    setIsEditing(true);
+    recordHistory();
+  };
+
+  const handleImport = (text) => {
+    loadShape(denormalizePoints(parsePolygonPoints(text)));
+  };
+
+  const importSvgFile = async (file) => {
+    if (!file) return;
+
+    try {
+      loadShape(denormalizePoints(parseSvgShape(await file.text())));
+    } catch (err) {
+      setError(`Failed to import SVG: ${err.message}`);
+    }
+  };
+
+  const handleSvgFileChange = (e) => {
+    importSvgFile(e.target.files[0]);
+    // Lets the same file be picked again after editing it elsewhere.
+    e.target.value = "";
+  };
+
+  const handleFileDragOver = (e) => {
+    if (!Array.from(e.dataTransfer.types).includes("Files")) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setIsDraggingFile(true);
+  };
+
+  // dragleave also fires when moving onto a child of the container.
+  const handleFileDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false);
+  };
+
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    importSvgFile(e.dataTransfer.files[0]);
+  };
+
+  const handleTemplateChange = (event) => {
+    const template = SHAPE_TEMPLATES.find(t => t.id === event.target.value);
+    if (template) loadShape(denormalizePoints(template.points));
+  };
+
+  const handleGenerate = (points) => {
+    loadShape(denormalizePoints(points));
+  };
+
+  // Recenters the shape and stretches it to fill the unit box, the way
+  // Kanvas stretches polygon points to the node's bounds.
+  const fitToFrame = () => {
+    const points = getPlottedPoints(polyRef.current);
+    if (!closedRef.current || !points || points.length < MIN_POLYGON_POINTS) return;
+
+    loadShape(denormalizePoints(fitToUnitSquare(normalizePoints(points))));
+  };
+
+  // Clamping flattens whatever pokes out onto the boundary, which can stack
+  // neighbouring vertices on top of each other, so those are merged.
+  const clampToFrame = () => {
+    const points = getPlottedPoints(polyRef.current);
+    if (!closedRef.current || !points) return false;
+
+    const clamped = removeConsecutiveDuplicates(denormalizePoints(clampPoints(normalizePoints(points))));
+    if (clamped.length < MIN_POLYGON_POINTS) {
+      setError("Clamping would collapse the shape; try Fit to Frame instead");
+      return false;
+    }
+    loadShape(clamped);
+    return true;
+  };
+
+  const handleBoundsGuard = (action) => {
+    setBoundsGuardOpen(false);
+    if (action === "clamp" && !clampToFrame()) return;
+    if (action === "fit") fitToFrame();
+    copyActiveShape();
+  };
+
+  // Rings every vertex that lies outside the unit box.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const outside = outputPoints.filter(isOutOfBounds);
+    if (!canvas || outside.length === 0) return;
+
+    const markers = canvas.group().addClass("bounds-markers");
+    denormalizePoints(outside).forEach(([x, y]) => {
+      markers.circle(HANDLE_SIZE).center(x, y);
+    });
+
+    return () => markers.remove();
+  }, [outputPoints]);
+
+  // Marks where the validation problems are: crossings and the offending
+  // vertices.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const markerPoints = validatePolygon(shapePoints).flatMap(issue => issue.markers);
+    if (!canvas || markerPoints.length === 0) return;
+
+    const markers = canvas.group().addClass("validation-markers");
+    denormalizePoints(markerPoints).forEach(([x, y]) => {
+      markers.circle(HANDLE_SIZE).center(x, y);
+    });
+
+    return () => markers.remove();
+  }, [shapePoints]);
+
+  const updateLayers = (next, activeId = activeLayerIdRef.current) => {
+    layersRef.current = next;
+    activeLayerIdRef.current = activeId;
+    setLayers(next);
+    setActiveLayerId(activeId);
+  };
+
+  // The live polygon belongs to the active layer; every other layer is drawn
+  // from its stored points into a group below or above it, so the stacking
+  // order on the canvas follows the layer list.
+  const arrangeLayers = () => {
+    const { below, above } = layerGroupsRef.current;
+    if (below) below.back();
+    if (above) above.front();
+    if (handlesRef.current) handlesRef.current.front();
+
+    const poly = polyRef.current;
+    const active = layersRef.current.find(layer => layer.id === activeLayerIdRef.current);
+    if (poly && active) {
+      if (active.visible) poly.show();
+      else poly.hide();
+    }
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const activeIndex = layers.findIndex(layer => layer.id === activeLayerId);
+    const below = canvas.group().addClass("inactive-shapes");
+    const above = canvas.group().addClass("inactive-shapes");
+    layers.forEach((layer, index) => {
+      if (index === activeIndex || !layer.visible || layer.points.length < MIN_POLYGON_POINTS) return;
+      (index < activeIndex ? below : above).polygon(layer.points).addClass("inactive-shape");
+    });
+    layerGroupsRef.current = { below, above };
+    arrangeLayers();
+
+    return () => {
+      below.remove();
+      above.remove();
+      layerGroupsRef.current = {};
+    };
+  }, [layers, activeLayerId]);
+
+  const resetActiveShape = () => {
+    disposeShape();
+    setBaseline(null);
+    closedRef.current = false;
+    setIsClosed(false);
+    setIsEditing(false);
+    updateOutput([]);
+    updateScaleState(1);
+    updateRotationState(0);
     initializeDrawing();
   };
 
+  // Only closed shapes are kept when the active layer is put away; an
+  // unfinished drawing is dropped.
+  const stashActiveLayer = () => {
+    const points = getPlottedPoints(polyRef.current);
+    const stored = closedRef.current && points ? clonePoints(points) : [];
+    return layersRef.current.map(layer => (layer.id === activeLayerIdRef.current ? { ...layer, points: stored } : layer));
+  };
+
+  const activateLayer = (stashedLayers, id) => {
+    const target = stashedLayers.find(layer => layer.id === id);
+    updateLayers(stashedLayers.map(layer => (layer.id === id ? { ...layer, points: [] } : layer)), id);
+
+    if (target.points.length >= MIN_POLYGON_POINTS) replaceActiveShape(target.points);
+    else resetActiveShape();
+  };
+
+  const createLayer = () => {
+    layerCountRef.current += 1;
+    const id = layerCountRef.current;
+    return { id, name: `Layer ${id}`, visible: true, locked: false, points: [] };
+  };
+
+  const addLayer = () => {
+    const layer = createLayer();
+    activateLayer([...stashActiveLayer(), layer], layer.id);
+    recordHistory();
+  };
+
+  const selectLayer = (id) => {
+    const target = layersRef.current.find(layer => layer.id === id);
+    if (!target || target.locked || id === activeLayerIdRef.current) return;
+
+    activateLayer(stashActiveLayer(), id);
+    recordHistory();
+  };
+
+  const toggleLayerVisibility = (id) => {
+    updateLayers(layersRef.current.map(layer => (layer.id === id ? { ...layer, visible: !layer.visible } : layer)));
+    arrangeLayers();
+    recordHistory();
+  };
+
+  const toggleLayerLock = (id) => {
+    if (id === activeLayerIdRef.current) return;
+
+    updateLayers(layersRef.current.map(layer => (layer.id === id ? { ...layer, locked: !layer.locked } : layer)));
+    recordHistory();
+  };
+
+  const moveLayer = (id, offset) => {
+    const next = [...layersRef.current];
+    const index = next.findIndex(layer => layer.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= next.length) return;
+
+    [next[index], next[target]] = [next[target], next[index]];
+    updateLayers(next);
+    recordHistory();
+  };
+
+  const deleteLayer = (id) => {
+    const layer = layersRef.current.find(l => l.id === id);
+    if (!layer || layer.locked) return;
+
+    const remaining = layersRef.current.filter(l => l.id !== id);
+    if (id !== activeLayerIdRef.current) {
+      updateLayers(remaining);
+    } else {
+      const candidate = [...remaining].reverse().find(l => !l.locked);
+      if (candidate) {
+        activateLayer(remaining, candidate.id);
+      } else {
+        const fresh = createLayer();
+        activateLayer([...remaining, fresh], fresh.id);
+      }
+    }
+    recordHistory();
+  };
+
+  const combineShapes = (operation, operandId) => {
+    const points = getPlottedPoints(polyRef.current);
+    const operand = layersRef.current.find(layer => layer.id === operandId);
+    if (!closedRef.current || !points || !operand || operand.locked) return;
+
+    try {
+      const combined = combinePolygons(operation, points, operand.points);
+      updateLayers(layersRef.current.filter(layer => layer.id !== operandId));
+      loadShape(combined);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const clearShape = () => {
+    if (!polyRef.current) return;
+
+    resetActiveShape();
+    recordHistory();
+  };
+
   const closeShape = () => {
     const poly = polyRef.current;
-    if (!poly) return;
+    if (!poly || closedRef.current) return;
 
     poly.draw("done");
     poly.fill("#00B39F");
+
+    const symmetry = getSymmetry();
+    const drawn = getPlottedPoints(poly);
+    if (symmetry.mode !== "none" && drawn && drawn.length > 0) {
+      poly.plot(applySymmetry(drawn, symmetry, getFrameCenter()));
+    }
+
+    closedRef.current = true;
+    setIsClosed(true);
+    // The drawn points are what the user sees, so they become the baseline
+    // with no scale or rotation left over from an earlier shape.
     const points = getPlottedPoints(poly);
     if (points && points.length > 0) {
-      basePointsRef.current = points;
+      setBaseline(points);
     }
+    updateScaleState(1);
+    updateRotationState(0);
     showCytoArray();
+    recordHistory();
   };
 
+  // The viewBox keeps the frame fitted on resize; the grid and overlays only
+  // need to know how much spare canvas is visible around it.
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || typeof ResizeObserver === "undefined") return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setVisibleArea(getVisibleArea(width, height));
+    });
+    observer.observe(board);
+
+    return () => observer.disconnect();
+  }, []);
+
   useEffect(() => {
     initializeDrawing();
     return () => {
-      detachKeyListeners();
-      if (polyRef.current) {
-        polyRef.current.draw("cancel");
-        polyRef.current.remove();
-        polyRef.current = null;
+      disposeShape();
+      if (canvasRef.current) {
+        canvasRef.current.remove();
+        canvasRef.current = null;
       }
     };
   }, []);
 
+  const gridSize = denormalizeLength(1 / snapSettings.divisions);
+
   return (
     <Wrapper>
-      <CanvasContainer>
+      <CanvasContainer
+        onDragOver={handleFileDragOver}
+        onDragLeave={handleFileDragLeave}
+        onDrop={handleFileDrop}
+      >
         <StyledSVG
           ref={boardRef}
           width="100%"
           height="100%"
+          viewBox={`0 0 ${FRAME_SIZE} ${FRAME_SIZE}`}
+          preserveAspectRatio="xMidYMid meet"
+          onClick={handleCanvasClick}
           onDoubleClick={closeShape}
         >
           <defs>
-            <pattern id="grid" width="16" height="16" patternUnits="userSpaceOnUse">
-              <path d="M 16 0 L 0 0 0 16" fill="none" stroke="#797d7a" strokeWidth="1" />
+            <pattern id="grid" width={gridSize} height={gridSize} patternUnits="userSpaceOnUse">
+              <path d={`M ${gridSize} 0 L 0 0 0 ${gridSize}`} fill="none" stroke="#797d7a" strokeWidth="1" />
             </pattern>
           </defs>
-          <rect className="grid" width="100%" height="100%" fill="url(#grid)" />
+          <rect className="grid" {...visibleArea} fill="url(#grid)" />
+          <rect className={outOfBoundsCount > 0 ? "frame out-of-bounds" : "frame"} width={FRAME_SIZE} height={FRAME_SIZE} />
+          <Rulers area={visibleArea} />
         </StyledSVG>
+        <CursorReadout boardRef={boardRef} canvasRef={canvasRef} getNextVertex={getNextVertex} />
         {error && (
           <div style={{
             position: "absolute",
@@ -245,24 +1412,69 @@ const ShapeBuilder = () => {
             {error}
           </div>
         )}
+        {isDraggingFile && <DropOverlay>Drop an SVG to import its outline</DropOverlay>}
       </CanvasContainer>
 
       <Box sx={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 2, mt: 3, mb: 3, flexWrap: "wrap" }}>
         <Button variant="contained" onClick={clearShape}>Clear</Button>
         <Button variant="contained" onClick={closeShape}>Close Shape</Button>
-        
+        <Button variant="contained" onClick={handleUndo} disabled={!history.canUndo}>Undo</Button>
+        <Button variant="contained" onClick={handleRedo} disabled={!history.canRedo}>Redo</Button>
+        <Button variant="contained" onClick={() => setImportOpen(true)}>Import</Button>
+        <Button variant="contained" onClick={() => svgInputRef.current?.click()}>Import SVG</Button>
+        <input ref={svgInputRef} type="file" accept=".svg,image/svg+xml" hidden onChange={handleSvgFileChange} />
+        <Button variant="contained" onClick={fitToFrame} disabled={!isClosed}>Fit to Frame</Button>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <Select
+            id="shape-template-select"
+            value=""
+            onChange={handleTemplateChange}
+            displayEmpty
+            renderValue={() => "Templates"}
+            aria-label="Shape template"
+            sx={{
+              color: "#fff",
+              "& .MuiSelect-icon": {
+                color: "#fff"
+              }
+            }}
+          >
+            {SHAPE_TEMPLATES.map((template) => (
+              <MenuItem key={template.id} value={template.id}>
+                {template.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="contained" onClick={toggleEditMode} disabled={!isClosed}>
+          {isEditing ? "Done Editing" : "Edit Points"}
+        </Button>
+        <CurveToolPanel
+          settings={curveSettings}
+          onChange={handleCurveSettingsChange}
+          disabled={isClosed}
+        />
+        <CoordinateEntry onPlace={placeTypedPoint} disabled={isClosed} />
+        <SnapPanel settings={snapSettings} onChange={handleSnapChange} />
+        <SymmetryPanel
+          settings={symmetrySettings}
+          onChange={handleSymmetryChange}
+          disabled={isClosed}
+        />
+
         <Box sx={{ display: "flex", alignItems: "center", gap: 1.5, ml: 2 }}>
           <FormControl size="small" sx={{ minWidth: 80 }}>
             <Select
               id="scale-preset-select"
               value={currentPreset}
               onChange={handlePresetChange}
+              disabled={!isClosed}
               displayEmpty
               aria-label="Scale preset"
               sx={{
-                color: '#fff',
-                '& .MuiSelect-icon': {
-                  color: '#fff'
+                color: "#fff",
+                "& .MuiSelect-icon": {
+                  color: "#fff"
                 }
               }}
             >
@@ -278,6 +1490,8 @@ const ShapeBuilder = () => {
             <Slider
               value={scale}
               onChange={handleSliderChange}
+              disabled={!isClosed}
+              onChangeCommitted={recordHistory}
               min={MIN_SCALE}
               max={MAX_SCALE}
               step={0.01}
@@ -293,28 +1507,168 @@ const ShapeBuilder = () => {
             {scale.toFixed(2)}×
           </Typography>
         </Box>
-      </Box>
 
-      <OutputBox>
-        <Typography variant="subtitle1" component="h6">
-          Polygon Coordinates (SVG format):
-        </Typography>
-        <div style={{ position: "relative" }}>
-          <textarea readOnly value={result} />
-          {result.trim() && (
-            <CopyButton
-              onClick={handleCopyToClipboard}
-              disabled={!result.trim()}
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1.5 }}>
+          <FormControl size="small" sx={{ minWidth: 80 }}>
+            <Select
+              id="rotation-preset-select"
+              value={ROTATION_PRESETS.includes(rotation) ? rotation : ""}
+              onChange={handleRotationPresetChange}
+              disabled={!isClosed}
+              displayEmpty
+              renderValue={() => `${rotation}°`}
+              aria-label="Rotation preset"
+              sx={{
+                color: "#fff",
+                "& .MuiSelect-icon": {
+                  color: "#fff"
+                }
+              }}
             >
-              {showCopied ? (
-                "Copied"
-              ) : (
-                <CopyIcon style={{ width: "20px", height: "20px" }} />
-              )}
-            </CopyButton>
+              {ROTATION_PRESETS.map((preset) => (
+                <MenuItem key={preset} value={preset}>
+                  {preset}°
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Box sx={{ width: 150 }}>
+            <Slider
+              value={rotation}
+              onChange={(event, value) => handleRotationChange(value)}
+              disabled={!isClosed}
+              onChangeCommitted={recordHistory}
+              min={-180}
+              max={180}
+              step={1}
+              valueLabelDisplay="auto"
+              valueLabelFormat={(value) => `${value}°`}
+              marks={ROTATION_MARKS}
+              aria-label="Rotation slider"
+            />
+          </Box>
+
+          <TextField
+            size="small"
+            type="number"
+            value={rotationInput}
+            onChange={handleRotationInputChange}
+            disabled={!isClosed}
+            onFocus={handleRotationInputFocus}
+            onBlur={handleRotationInputBlur}
+            inputProps={{ min: -180, max: 180, step: 15, "aria-label": "Rotation angle" }}
+            sx={{ width: 84, "& .MuiInputBase-input": { color: "#fff" } }}
+          />
+
+          <Button variant="contained" onClick={() => flipShape("horizontal")} disabled={!isClosed}>Flip H</Button>
+          <Button variant="contained" onClick={() => flipShape("vertical")} disabled={!isClosed}>Flip V</Button>
+        </Box>
+
+        <GeneratorPanel onGenerate={handleGenerate} />
+        <SimplifyPanel
+          tolerance={simplifyTolerance}
+          before={shapePoints.length}
+          after={simplifiedCount}
+          disabled={!isClosed}
+          onChange={setSimplifyTolerance}
+          onApply={simplifyShape}
+        />
+      </Box>
+
+      <Box sx={{ display: "flex", justifyContent: "center", mb: 3 }}>
+        <BooleanPanel
+          operands={layers.filter(layer => layer.id !== activeLayerId && !layer.locked && layer.points.length >= MIN_POLYGON_POINTS)}
+          isClosed={isClosed}
+          onCombine={combineShapes}
+        />
+      </Box>
+
+      <Box sx={{ display: "flex", justifyContent: "center", mb: 3 }}>
+        <ExportPanel points={outputPoints} disabled={!isClosed || outputPoints.length === 0} onError={setError} />
+      </Box>
+
+      <LayersPanel
+        layers={layers}
+        activeLayerId={activeLayerId}
+        onAdd={addLayer}
+        onSelect={selectLayer}
+        onToggleVisibility={toggleLayerVisibility}
+        onToggleLock={toggleLayerLock}
+        onMove={moveLayer}
+        onDelete={deleteLayer}
+      />
+
+      <OutputRow>
+        <OutputBox>
+          <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 2, flexWrap: "wrap" }}>
+            <Typography variant="subtitle1" component="h6">
+              Polygon Coordinates:
+            </Typography>
+            <PrecisionPanel settings={outputSettings} onChange={handleOutputSettingsChange} />
+          </Box>
+          <Tabs
+            value={outputFormat}
+            onChange={(event, value) => setOutputFormat(value)}
+            variant="scrollable"
+            scrollButtons="auto"
+            aria-label="Output format"
+            sx={{ mb: 1 }}
+          >
+            {OUTPUT_FORMATS.map(({ id, label }) => (
+              <Tab key={id} value={id} label={label} />
+            ))}
+          </Tabs>
+          <div style={{ position: "relative" }}>
+            <textarea
+              readOnly
+              value={formatOutput(outputFormat, outputPoints)}
+              className={getOutputFormat(outputFormat).multiline ? "multiline" : undefined}
+              aria-label={`${getOutputFormat(outputFormat).label} output`}
+            />
+            {result.trim() && (
+              <CopyButton
+                onClick={handleCopyToClipboard}
+                disabled={!result.trim()}
+              >
+                {showCopied ? (
+                  "Copied"
+                ) : (
+                  <CopyIcon style={{ width: "20px", height: "20px" }} />
+                )}
+              </CopyButton>
+            )}
+          </div>
+          {outOfBoundsCount > 0 && (
+            <Typography variant="body2" className="warning">
+              {outOfBoundsCount} of {outputPoints.length} points fall outside the [-1, 1] box and will be clipped by Kanvas.
+            </Typography>
           )}
-        </div>
-      </OutputBox>
+          <ValidationPanel issues={validationIssues} onFix={applyValidationFix} />
+        </OutputBox>
+
+        {isClosed && outputPoints.length > 0 && (
+          <VertexTable
+            points={outputPoints}
+            onEdit={setVertexCoordinate}
+            onMove={moveVertex}
+            onInsert={insertVertexAfter}
+            onDelete={deleteVertex}
+          />
+        )}
+      </OutputRow>
+
+      <ImportModal
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImport={handleImport}
+      />
+      <BoundsGuardModal
+        open={boundsGuardOpen}
+        count={outOfBoundsCount}
+        onClose={() => setBoundsGuardOpen(false)}
+        onResolve={handleBoundsGuard}
+      />
     </Wrapper>
   );
 };
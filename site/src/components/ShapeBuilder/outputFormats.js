@@ -0,0 +1,83 @@
+// Renderings of the normalized points for the places a shape ends up: the
+// raw Kanvas attribute, plain JSON, a Cytoscape style, the `styles` block of
+// a Meshery component definition, and web exports for use outside Kanvas.
+// Web exports keep the Kanvas orientation, with y pointing down.
+
+import { formatPolygonPoints } from "./polygonFormats";
+
+const POLYGON_STYLE = "polygon";
+
+const formatJsonPairs = (points) => `[${points.map(([x, y]) => `[${x}, ${y}]`).join(", ")}]`;
+
+const formatCytoscapeStyle = (points) =>
+  [
+    "style: {",
+    `  shape: "${POLYGON_STYLE}",`,
+    `  "shape-polygon-points": "${formatPolygonPoints(points)}"`,
+    "}",
+  ].join("\n");
+
+const formatComponentStylesJson = (points) =>
+  JSON.stringify({ styles: { shape: POLYGON_STYLE, "shape-polygon-points": formatPolygonPoints(points) } }, null, 2);
+
+// The points string is quoted because it usually starts with "-", which YAML
+// would otherwise read as a list item.
+const formatComponentStylesYaml = (points) =>
+  [
+    "styles:",
+    `  shape: ${POLYGON_STYLE}`,
+    `  shape-polygon-points: "${formatPolygonPoints(points)}"`,
+  ].join("\n");
+
+// Percentages of the element box, as clip-path expects. Rounding hides the
+// float noise the [-1, 1] to [0, 100] shift adds.
+const toPercent = (value) => `${Number(((value + 1) * 50).toFixed(4))}%`;
+
+const formatClipPath = (points) =>
+  `clip-path: polygon(${points.map(([x, y]) => `${toPercent(x)} ${toPercent(y)}`).join(", ")});`;
+
+const wrapSvg = (element) =>
+  [
+    "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"-1 -1 2 2\">",
+    `  ${element}`,
+    "</svg>",
+  ].join("\n");
+
+export const formatSvgPathData = (points) =>
+  `${points.map(([x, y], i) => `${i === 0 ? "M" : "L"} ${x} ${y}`).join(" ")} Z`;
+
+const formatSvgPath = (points) => wrapSvg(`<path d="${formatSvgPathData(points)}" />`);
+
+const formatSvgPolygon = (points) =>
+  wrapSvg(`<polygon points="${points.map(([x, y]) => `${x},${y}`).join(" ")}" />`);
+
+const formatModule = (points, typed) => {
+  const pairs = points.map(([x, y]) => `  [${x}, ${y}],`).join("\n");
+  const type = typed ? ": ReadonlyArray<readonly [number, number]>" : "";
+  return [
+    "// Normalized to [-1, 1] with y pointing down, as Kanvas expects.",
+    `export const SHAPE_POINTS${type} = [`,
+    pairs,
+    "];",
+    "",
+    `export const SHAPE_POLYGON_POINTS = "${formatPolygonPoints(points)}";`,
+    "",
+  ].join("\n");
+};
+
+export const OUTPUT_FORMATS = [
+  { id: "kanvas", label: "Kanvas", format: formatPolygonPoints },
+  { id: "json", label: "JSON", format: formatJsonPairs },
+  { id: "cytoscape", label: "Cytoscape", format: formatCytoscapeStyle, multiline: true },
+  { id: "component-json", label: "Component JSON", format: formatComponentStylesJson, multiline: true },
+  { id: "component-yaml", label: "Component YAML", format: formatComponentStylesYaml, multiline: true },
+  { id: "clip-path", label: "CSS clip-path", format: formatClipPath },
+  { id: "svg-path", label: "SVG path", format: formatSvgPath, multiline: true },
+  { id: "svg-polygon", label: "SVG polygon", format: formatSvgPolygon, multiline: true },
+  { id: "typescript", label: "TypeScript", format: (points) => formatModule(points, true), multiline: true },
+  { id: "javascript", label: "JavaScript", format: (points) => formatModule(points, false), multiline: true },
+];
+
+export const getOutputFormat = (id) => OUTPUT_FORMATS.find(format => format.id === id) || OUTPUT_FORMATS[0];
+
+export const formatOutput = (id, points) => (points.length ? getOutputFormat(id).format(points) : "");
@@ -0,0 +1,170 @@
+// Conversions between canvas units and the normalized [-1, 1] space Kanvas
+// uses for `shape-polygon-points`, plus parsing of pasted coordinate lists.
+//
+// Canvas units are those of the square drawing frame. The canvas viewBox is
+// the frame, so however the container is sized the frame stays square and
+// centered, and normalization never depends on the rendered size.
+
+const FRAME_HALF_SIZE = 260;
+const FRAME_ORIGIN = FRAME_HALF_SIZE;
+
+export const FRAME_SIZE = FRAME_HALF_SIZE * 2;
+
+export const MIN_POLYGON_POINTS = 3;
+
+export const normalizePoints = (points) =>
+  points.map(([x, y]) => [(x - FRAME_ORIGIN) / FRAME_HALF_SIZE, (y - FRAME_ORIGIN) / FRAME_HALF_SIZE]);
+
+export const denormalizePoints = (points) =>
+  points.map(([x, y]) => [x * FRAME_HALF_SIZE + FRAME_ORIGIN, y * FRAME_HALF_SIZE + FRAME_ORIGIN]);
+
+export const getFrameCenter = () => [FRAME_ORIGIN, FRAME_ORIGIN];
+
+export const denormalizeLength = (length) => length * FRAME_HALF_SIZE;
+
+// The part of canvas space a container of the given pixel size shows. The
+// frame is scaled to fit and centered, the rest is spare room on the sides.
+export const getVisibleArea = (width, height) => {
+  const scale = Math.min(width, height) / FRAME_SIZE || 1;
+  const visibleWidth = Math.max(width / scale, FRAME_SIZE);
+  const visibleHeight = Math.max(height / scale, FRAME_SIZE);
+
+  return {
+    x: FRAME_ORIGIN - visibleWidth / 2,
+    y: FRAME_ORIGIN - visibleHeight / 2,
+    width: visibleWidth,
+    height: visibleHeight,
+  };
+};
+
+// Kanvas clips anything outside the unit box; the tolerance keeps points
+// sitting exactly on the boundary from being flagged by rounding noise.
+const BOUNDS_TOLERANCE = 1e-9;
+
+export const isOutOfBounds = ([x, y]) =>
+  Math.abs(x) > 1 + BOUNDS_TOLERANCE || Math.abs(y) > 1 + BOUNDS_TOLERANCE;
+
+export const clampPoints = (normalizedPoints) =>
+  normalizedPoints.map(point => point.map(value => Math.max(-1, Math.min(1, value))));
+
+export const FRACTION_SNAPS = [
+  { id: "off", label: "No Fractions", denominators: [] },
+  { id: "thirds", label: "Thirds", denominators: [3] },
+  { id: "quarters", label: "Quarters", denominators: [4] },
+  { id: "eighths", label: "Eighths", denominators: [8] },
+  { id: "all", label: "Thirds, Quarters & Eighths", denominators: [3, 4, 8] },
+];
+
+// How close a coordinate must already be to a fraction to be pulled onto it;
+// anything further away keeps its drawn value.
+const FRACTION_TOLERANCE = 0.02;
+
+const snapToFraction = (value, denominators) => {
+  const [closest] = denominators
+    .map(denominator => Math.round(value * denominator) / denominator)
+    .filter(candidate => Math.abs(candidate - value) <= FRACTION_TOLERANCE)
+    .sort((a, b) => Math.abs(a - value) - Math.abs(b - value));
+  return closest === undefined ? value : closest;
+};
+
+// Rounds normalized points for output. Adding 0 turns -0 into 0 so a point
+// on an axis never prints as "-0".
+export const quantizePoints = (normalizedPoints, { precision, fractions = "off" }) => {
+  const { denominators } = FRACTION_SNAPS.find(snap => snap.id === fractions) || FRACTION_SNAPS[0];
+  return normalizedPoints.map(point =>
+    point.map(value => Number(snapToFraction(value, denominators).toFixed(precision)) + 0)
+  );
+};
+
+export const formatPolygonPoints = (normalizedPoints) => normalizedPoints.flat().join(" ");
+
+const pairUp = (values) => {
+  if (values.length % 2 !== 0) {
+    throw new Error("Coordinates must come in x/y pairs");
+  }
+
+  const points = [];
+  for (let i = 0; i < values.length; i += 2) {
+    points.push([values[i], values[i + 1]]);
+  }
+  return points;
+};
+
+const parseJsonPoints = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error("Invalid JSON array");
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error("JSON input must be an array");
+  }
+
+  return parsed.every(Array.isArray)
+    ? parsed.map((pair) => {
+      if (pair.length !== 2) throw new Error("Each JSON pair must hold exactly two numbers");
+      return pair.map(Number);
+    })
+    : pairUp(parsed.map(Number));
+};
+
+// Accepts the space-separated `shape-polygon-points` string, a JSON array of
+// pairs (or a flat JSON array), or an SVG `points` attribute with or without
+// the surrounding `points="..."`. Returns normalized [x, y] pairs.
+export const parsePolygonPoints = (input) => {
+  const text = (input || "").trim();
+  if (!text) throw new Error("Nothing to import");
+
+  let points;
+  if (text.startsWith("[")) {
+    points = parseJsonPoints(text);
+  } else {
+    const attribute = text.match(/points\s*=\s*["']([^"']*)["']/i);
+    const source = attribute ? attribute[1] : text;
+    points = pairUp(source.split(/[\s,]+/).filter(Boolean).map(Number));
+  }
+
+  if (points.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y))) {
+    throw new Error("Coordinates must be numbers");
+  }
+  if (points.length < MIN_POLYGON_POINTS) {
+    throw new Error(`A polygon needs at least ${MIN_POLYGON_POINTS} points`);
+  }
+
+  return points;
+};
+
+const parseNumbers = (text, count, usage) => {
+  const values = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (values.length !== count || values.some(value => !Number.isFinite(value))) {
+    throw new Error(`Expected ${usage}`);
+  }
+  return values;
+};
+
+// CAD-style entry of a single vertex in normalized units: "x,y" is absolute,
+// "@dx,dy" is an offset from `previous`, and "@distance<angle" is a polar
+// offset with the angle in degrees counterclockwise from +x as seen on screen.
+export const parseCoordinateCommand = (input, previous) => {
+  const text = (input || "").trim();
+  if (!text) throw new Error("Enter a coordinate such as 0.5,-0.25");
+
+  if (!text.startsWith("@")) {
+    if (text.includes("<")) throw new Error("Polar entries are relative, e.g. @0.3<45");
+    return parseNumbers(text, 2, "x,y such as 0.5,-0.25");
+  }
+
+  if (!previous) throw new Error("Relative entries need a point to start from");
+
+  const offset = text.slice(1);
+  if (offset.includes("<")) {
+    const [length, angle] = parseNumbers(offset.replace("<", " "), 2, "@distance<angle such as @0.3<45");
+    const radians = (angle * Math.PI) / 180;
+    return [previous[0] + length * Math.cos(radians), previous[1] - length * Math.sin(radians)];
+  }
+
+  const [dx, dy] = parseNumbers(offset, 2, "@dx,dy such as @0.1,0");
+  return [previous[0] + dx, previous[1] + dy];
+};
@@ -33,6 +33,51 @@ export const StyledSVG = styled.svg`
     fill-opacity: 0.1;
   }
 
+  rect.frame {
+    fill: none;
+    stroke: #797d7a;
+    stroke-width: 1;
+    stroke-dasharray: 8 4;
+    pointer-events: none;
+
+    &.out-of-bounds {
+      stroke: #ff5757;
+    }
+  }
+
+  .simplify-preview {
+    pointer-events: none;
+
+    polygon {
+      fill: none;
+      stroke: #ebc017;
+      stroke-width: 2;
+    }
+
+    circle {
+      r: 3;
+      fill: #ebc017;
+      stroke: none;
+    }
+  }
+
+  .validation-markers circle {
+    r: 9;
+    fill: none;
+    stroke: #ebc017;
+    stroke-width: 2;
+    stroke-dasharray: 3 2;
+    pointer-events: none;
+  }
+
+  .bounds-markers circle {
+    r: 7;
+    fill: none;
+    stroke: #ff5757;
+    stroke-width: 2;
+    pointer-events: none;
+  }
+
   polygon {
     fill: rgba(0, 179, 159, 0.25);
     stroke: ${({ theme }) => theme.primary || "#00B39F"};
@@ -51,6 +96,132 @@ export const StyledSVG = styled.svg`
     stroke: #fff;
     stroke-width: 1;
   }
+
+  polygon.inactive-shape {
+    fill: rgba(121, 125, 122, 0.15);
+    stroke: #797d7a;
+    stroke-width: 1;
+    stroke-dasharray: 4;
+    pointer-events: none;
+  }
+
+  .symmetry-guides line {
+    stroke: #ebc017;
+    stroke-width: 1;
+    stroke-dasharray: 6 4;
+    pointer-events: none;
+  }
+
+  .snap-guides line {
+    stroke: #ff5ac4;
+    stroke-width: 1;
+    pointer-events: none;
+  }
+
+  polygon.symmetry-preview {
+    fill: none;
+    stroke: #ebc017;
+    stroke-width: 1;
+    stroke-dasharray: 4;
+    pointer-events: none;
+  }
+
+  rect.tool-overlay {
+    fill: transparent;
+    cursor: crosshair;
+    touch-action: none;
+  }
+
+  &.tool-active polygon,
+  &.tool-active circle {
+    pointer-events: none;
+  }
+
+  .tool-preview polyline {
+    fill: none;
+    stroke: ${({ theme }) => theme.primary || "#00B39F"};
+    stroke-width: 2;
+    pointer-events: none;
+
+    &.guide {
+      stroke: #797d7a;
+      stroke-width: 1;
+      stroke-dasharray: 4;
+    }
+  }
+
+  .rulers {
+    pointer-events: none;
+
+    rect.ruler {
+      fill: ${({ theme }) => theme.body || "#181B1F"};
+      fill-opacity: 0.85;
+    }
+
+    line {
+      stroke: #797d7a;
+      stroke-width: 1;
+    }
+
+    text {
+      fill: #797d7a;
+      font-size: 9px;
+      font-family: monospace;
+    }
+  }
+
+  circle.vertex-handle {
+    r: 5;
+    fill: #fff;
+    stroke: ${({ theme }) => theme.primary || "#00B39F"};
+    stroke-width: 2;
+    cursor: grab;
+    touch-action: none;
+
+    &.selected {
+      fill: ${({ theme }) => theme.primary || "#00B39F"};
+      stroke: #fff;
+    }
+  }
+`;
+
+export const ReadoutBox = styled.div`
+  position: absolute;
+  right: 0.75rem;
+  bottom: 0.5rem;
+  padding: 0.25rem 0.5rem;
+  border-radius: 0.25rem;
+  background-color: rgba(0, 0, 0, 0.6);
+  color: #fff;
+  font-family: monospace;
+  font-size: 0.8rem;
+  pointer-events: none;
+`;
+
+export const VertexTooltip = styled.div`
+  position: absolute;
+  padding: 0.125rem 0.375rem;
+  border-radius: 0.25rem;
+  background-color: ${({ theme }) => theme.primary || "#00B39F"};
+  color: #fff;
+  font-family: monospace;
+  font-size: 0.75rem;
+  white-space: nowrap;
+  pointer-events: none;
+`;
+
+export const DropOverlay = styled.div`
+  position: absolute;
+  inset: 0;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  border: 2px dashed ${({ theme }) => theme.primary || "#00B39F"};
+  border-radius: 0.75rem;
+  background-color: rgba(0, 179, 159, 0.12);
+  color: #fff;
+  font-size: 1.1rem;
+  pointer-events: none;
 `;
 
 export const Controls = styled.div`
@@ -111,12 +282,37 @@ export const OutputBox = styled.div`
     resize: none;
     font-family: monospace;
     font-size: 0.95rem;
+
+    &.multiline {
+      height: 140px;
+    }
   }
 
   .error {
     color: red;
     font-weight: bold;
   }
+
+  .warning {
+    margin-top: 0.5rem;
+    color: #ebc017;
+    font-weight: 500;
+  }
+`;
+
+// Puts the vertex table beside the output box, wrapping below it on narrow
+// screens.
+export const OutputRow = styled.div`
+  display: flex;
+  justify-content: center;
+  align-items: flex-start;
+  gap: 2rem;
+  flex-wrap: wrap;
+
+  ${OutputBox} {
+    flex: 1 1 400px;
+    margin: 0;
+  }
 `;
 
 export const CopyButton = styled.button`
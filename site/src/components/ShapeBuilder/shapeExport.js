@@ -0,0 +1,57 @@
+// Standalone image files of the shape. The SVG keeps the normalized [-1, 1]
+// coordinates as its viewBox, so the file is the exact shape Kanvas draws,
+// and PNGs are rasterized from that same SVG.
+
+import { formatSvgPathData } from "./outputFormats";
+
+const BLOB_URL_LIFETIME = 1000;
+
+// `strokeWidth` is in output pixels; the viewBox grows by half of it on every
+// side so the outline is not clipped at the edges.
+export const buildSvgDocument = (points, { size, fill, stroke, strokeWidth, background }) => {
+  const width = (strokeWidth * 2) / size;
+  const min = -1 - width / 2;
+  const extent = 2 + width;
+  const viewBox = `${min} ${min} ${extent} ${extent}`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="${viewBox}">`,
+    background ? `  <rect x="${min}" y="${min}" width="${extent}" height="${extent}" fill="${background}" />` : null,
+    `  <path d="${formatSvgPathData(points)}" fill="${fill}" stroke="${stroke}" stroke-width="${width}" stroke-linejoin="round" />`,
+    "</svg>",
+    "",
+  ].filter(line => line !== null).join("\n");
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously and still need the URL
+  // after click() returns.
+  setTimeout(() => URL.revokeObjectURL(url), BLOB_URL_LIFETIME);
+};
+
+export const renderPng = (svgText, size) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml" }));
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = size;
+      canvas.height = size;
+      canvas.getContext("2d").drawImage(image, 0, 0, size, size);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Failed to encode the PNG"))), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Failed to render the shape as an image"));
+    };
+    image.src = url;
+  });
@@ -0,0 +1,107 @@
+// Polygon versions of the built-in Cytoscape/Meshery node shapes, in the
+// normalized [-1, 1] space. Straight-edged shapes follow Cytoscape's own point
+// definitions; rounded ones are sampled approximations.
+
+import { sampleArc, sampleQuadraticBezier, signedArea } from "./geometry";
+
+const round = (value) => Math.round(value * 10000) / 10000 || 0;
+
+const roundPoints = (points) => points.map(([x, y]) => [round(x), round(y)]);
+
+// Cytoscape lists most of its shapes counter-clockwise on screen; templates
+// are stored clockwise like everything else the validator accepts.
+const toClockwise = (points) => (signedArea(points) < 0 ? [...points].reverse() : points);
+
+// Same construction as Cytoscape's generateUnitNgonPoints: even-sided shapes
+// start half a step off the vertical so they sit flat on the bottom edge.
+export const unitNgonPoints = (sides, rotation = 0) => {
+  const increment = (2 * Math.PI) / sides;
+  const startAngle = (sides % 2 === 0 ? Math.PI / 2 + increment / 2 : Math.PI / 2) + rotation;
+
+  return Array.from({ length: sides }, (_, i) => {
+    const angle = startAngle + i * increment;
+    return [Math.cos(angle), Math.sin(-angle)];
+  });
+};
+
+export const fitToUnitSquare = (points) => {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX || 1;
+  const height = Math.max(...ys) - minY || 1;
+
+  return points.map(([x, y]) => [((x - minX) / width) * 2 - 1, ((y - minY) / height) * 2 - 1]);
+};
+
+// Regular polygon (innerRatio omitted) or star (every other vertex pulled in
+// to innerRatio of the radius), centered on the origin with the first vertex
+// pointing straight up before `rotation` degrees are applied clockwise.
+export const generatePolygonPoints = ({ sides, radius = 1, rotation = 0, innerRatio = null }) => {
+  const isStar = innerRatio !== null && innerRatio !== undefined;
+  const count = isStar ? sides * 2 : sides;
+  const start = -Math.PI / 2 + (rotation * Math.PI) / 180;
+
+  return roundPoints(Array.from({ length: count }, (_, i) => {
+    const r = isStar && i % 2 === 1 ? radius * innerRatio : radius;
+    const angle = start + (2 * Math.PI * i) / count;
+    return [r * Math.cos(angle), r * Math.sin(angle)];
+  }));
+};
+
+const ngon = (sides) => fitToUnitSquare(unitNgonPoints(sides));
+
+const star = () => {
+  const outer = unitNgonPoints(5);
+  const innerRadius = 0.5 * (3 - Math.sqrt(5)) * 1.57;
+  const inner = unitNgonPoints(5, Math.PI / 5).map(([x, y]) => [x * innerRadius, y * innerRadius]);
+  return fitToUnitSquare(outer.flatMap((point, i) => [point, inner[i]]));
+};
+
+const roundRectangle = (radius = 0.25, segments = 4) => {
+  const inset = 1 - radius;
+  const r = [radius, radius];
+  return [
+    ...sampleArc([inset, -inset], r, -Math.PI / 2, Math.PI / 2, segments),
+    ...sampleArc([inset, inset], r, 0, Math.PI / 2, segments),
+    ...sampleArc([-inset, inset], r, Math.PI / 2, Math.PI / 2, segments),
+    ...sampleArc([-inset, -inset], r, Math.PI, Math.PI / 2, segments),
+  ];
+};
+
+// Cytoscape draws the barrel with quadratic corners that take 15% of the
+// width and 10% of the height.
+const barrel = (segments = 4) => {
+  const dx = 0.3;
+  const dy = 0.2;
+  const corners = [
+    [[1 - dx, -1], [1, -1], [1, -1 + dy]],
+    [[1, 1 - dy], [1, 1], [1 - dx, 1]],
+    [[-1 + dx, 1], [-1, 1], [-1, 1 - dy]],
+    [[-1, -1 + dy], [-1, -1], [-1 + dx, -1]],
+  ];
+  return corners.flatMap(([start, control, end]) => sampleQuadraticBezier(start, control, end, segments));
+};
+
+const ellipse = (segments = 32) => sampleArc([0, 0], [1, 1], 0, 2 * Math.PI, segments).slice(0, -1);
+
+export const SHAPE_TEMPLATES = [
+  { id: "rectangle", label: "Rectangle", points: ngon(4) },
+  { id: "round-rectangle", label: "Round Rectangle", points: roundRectangle() },
+  { id: "cut-rectangle", label: "Cut Rectangle", points: [[-0.75, -1], [0.75, -1], [1, -0.75], [1, 0.75], [0.75, 1], [-0.75, 1], [-1, 0.75], [-1, -0.75]] },
+  { id: "ellipse", label: "Ellipse", points: ellipse() },
+  { id: "triangle", label: "Triangle", points: ngon(3) },
+  { id: "diamond", label: "Diamond", points: [[0, 1], [1, 0], [0, -1], [-1, 0]] },
+  { id: "pentagon", label: "Pentagon", points: ngon(5) },
+  { id: "hexagon", label: "Hexagon", points: ngon(6) },
+  { id: "concave-hexagon", label: "Concave Hexagon", points: [[-1, -0.95], [-0.75, 0], [-1, 0.95], [1, 0.95], [0.75, 0], [1, -0.95]] },
+  { id: "heptagon", label: "Heptagon", points: ngon(7) },
+  { id: "octagon", label: "Octagon", points: ngon(8) },
+  { id: "star", label: "Star", points: star() },
+  { id: "barrel", label: "Barrel", points: barrel() },
+  { id: "rhomboid", label: "Rhomboid", points: [[-1, -1], [0.333, -1], [1, 1], [-0.333, 1]] },
+  { id: "right-rhomboid", label: "Right Rhomboid", points: [[-0.333, -1], [1, -1], [0.333, 1], [-1, 1]] },
+  { id: "vee", label: "Vee", points: [[-1, -1], [0, -0.333], [1, -1], [0, 1]] },
+  { id: "tag", label: "Tag", points: [[-1, -1], [0.25, -1], [1, 0], [0.25, 1], [-1, 1]] },
+].map((template) => ({ ...template, points: roundPoints(toClockwise(template.points)) }));
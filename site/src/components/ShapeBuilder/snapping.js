@@ -0,0 +1,45 @@
+// Where a point placed at the cursor actually lands. Grid sizes are given in
+// normalized units and converted by the caller; everything here works in
+// canvas units.
+
+import { snapPoint } from "./geometry";
+
+export const GRID_DIVISIONS = [4, 8, 10, 12, 16, 20];
+
+export const ANGLE_STEPS = [15, 45];
+
+// Shift locks the segment from the anchor to a multiple of the angle step,
+// keeping the cursor's distance along that direction.
+const constrainAngle = ([x, y], [ax, ay], angleStep) => {
+  const step = (angleStep * Math.PI) / 180;
+  const angle = Math.round(Math.atan2(y - ay, x - ax) / step) * step;
+  const length = Math.hypot(x - ax, y - ay);
+  const point = [ax + length * Math.cos(angle), ay + length * Math.sin(angle)];
+  return { point, guides: [[[ax, ay], point]] };
+};
+
+const findNearestAxisMatch = (value, references, axis, threshold) =>
+  references.reduce((best, reference) => {
+    const offset = Math.abs(reference[axis] - value);
+    return offset <= threshold && (!best || offset < Math.abs(best[axis] - value)) ? reference : best;
+  }, null);
+
+// Ctrl (`free`) skips snapping entirely. Otherwise the point goes to the grid,
+// then each axis is pulled onto the x or y of the closest reference vertex
+// within `threshold`, and the alignment is returned as a guide line running
+// from that vertex to the point.
+export const resolveSnap = (cursor, { gridSize, anchor, references = [], free, constrain, angleStep, align, threshold }) => {
+  if (free) return { point: cursor, guides: [] };
+  if (constrain && anchor) return constrainAngle(cursor, anchor, angleStep);
+
+  const point = snapPoint(cursor, gridSize);
+  if (!align) return { point, guides: [] };
+
+  const matchX = findNearestAxisMatch(cursor[0], references, 0, threshold);
+  const matchY = findNearestAxisMatch(cursor[1], references, 1, threshold);
+  if (matchX) point[0] = matchX[0];
+  if (matchY) point[1] = matchY[1];
+
+  const guides = [matchX, matchY].filter(Boolean).map(reference => [reference, point]);
+  return { point, guides };
+};
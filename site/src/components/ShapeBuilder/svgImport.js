@@ -0,0 +1,249 @@
+// Turns an SVG document into a single normalized outline. Every path,
+// polygon, rect, circle and ellipse outside <defs> and friends is flattened
+// into points with its transforms applied, and the candidate with the largest
+// bounding box is taken as the outer shape. Holes and inner details are
+// ignored since a Kanvas polygon is one outline.
+
+import { PathArray, Point, SVG } from "@svgdotjs/svg.js";
+import {
+  getBounds,
+  removeConsecutiveDuplicates,
+  sampleArc,
+  sampleCubicBezier,
+  sampleQuadraticBezier,
+  simplifyPolygon,
+} from "./geometry";
+import { MIN_POLYGON_POINTS } from "./polygonFormats";
+
+const CURVE_SEGMENTS = 12;
+const ELLIPSE_SEGMENTS = 48;
+const CORNER_SEGMENTS = 4;
+const SIMPLIFY_TOLERANCE = 0.002;
+const SHAPE_SELECTOR = "path, polygon, polyline, rect, circle, ellipse";
+const HIDDEN_CONTAINERS = "defs, clipPath, mask, pattern, symbol, marker";
+
+const readNumber = (element, name) => parseFloat(element.getAttribute(name)) || 0;
+
+// Endpoint-to-center conversion from the SVG spec (F.6.5), sampled without
+// the start point like the other segment samplers below.
+const sampleEllipticalArc = ([x1, y1], [radiusX, radiusY, rotation, largeArc, sweep, x2, y2]) => {
+  let rx = Math.abs(radiusX);
+  let ry = Math.abs(radiusY);
+  if (rx === 0 || ry === 0) return [[x2, y2]];
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coefficient * rx * y1p) / ry;
+  const cyp = (-coefficient * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angleBetween = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const startAngle = angleBetween(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angleBetween((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  return Array.from({ length: CURVE_SEGMENTS }, (_, i) => {
+    const angle = startAngle + (delta * (i + 1)) / CURVE_SEGMENTS;
+    const ex = rx * Math.cos(angle);
+    const ey = ry * Math.sin(angle);
+    return [cos * ex - sin * ey + cx, sin * ex + cos * ey + cy];
+  });
+};
+
+// svg.js already makes every command absolute; this walks them, resolving the
+// smooth variants against the previous control point, and returns one point
+// list per subpath.
+const flattenPath = (d) => {
+  const subpaths = [];
+  let current = null;
+  let point = [0, 0];
+  let start = [0, 0];
+  let control = null;
+
+  const addPoints = (points) => {
+    if (!current) {
+      current = [point];
+      subpaths.push(current);
+    }
+    current.push(...points);
+    point = points[points.length - 1];
+  };
+
+  // S only mirrors the control point of a cubic curve and T of a quadratic
+  // one; otherwise the current point stands in for it.
+  const reflectControl = (type) =>
+    control && control.type === type ? [2 * point[0] - control.point[0], 2 * point[1] - control.point[1]] : point;
+
+  new PathArray(d).forEach(([command, ...values]) => {
+    let nextControl = null;
+
+    switch (command) {
+      case "M":
+        point = [values[0], values[1]];
+        start = point;
+        current = [point];
+        subpaths.push(current);
+        break;
+      case "L":
+        addPoints([[values[0], values[1]]]);
+        break;
+      case "H":
+        addPoints([[values[0], point[1]]]);
+        break;
+      case "V":
+        addPoints([[point[0], values[0]]]);
+        break;
+      case "C":
+        nextControl = { type: "cubic", point: [values[2], values[3]] };
+        addPoints(sampleCubicBezier(point, [values[0], values[1]], nextControl.point, [values[4], values[5]], CURVE_SEGMENTS).slice(1));
+        break;
+      case "S": {
+        const reflected = reflectControl("cubic");
+        nextControl = { type: "cubic", point: [values[0], values[1]] };
+        addPoints(sampleCubicBezier(point, reflected, nextControl.point, [values[2], values[3]], CURVE_SEGMENTS).slice(1));
+        break;
+      }
+      case "Q":
+        nextControl = { type: "quadratic", point: [values[0], values[1]] };
+        addPoints(sampleQuadraticBezier(point, nextControl.point, [values[2], values[3]], CURVE_SEGMENTS).slice(1));
+        break;
+      case "T":
+        nextControl = { type: "quadratic", point: reflectControl("quadratic") };
+        addPoints(sampleQuadraticBezier(point, nextControl.point, [values[0], values[1]], CURVE_SEGMENTS).slice(1));
+        break;
+      case "A":
+        addPoints(sampleEllipticalArc(point, values));
+        break;
+      case "Z":
+        point = start;
+        current = null;
+        break;
+      default:
+        break;
+    }
+
+    control = nextControl;
+  });
+
+  return subpaths;
+};
+
+const parsePointList = (text) => {
+  const values = (text || "").split(/[\s,]+/).filter(Boolean).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    points.push([values[i], values[i + 1]]);
+  }
+  return points;
+};
+
+const roundedRect = (x, y, width, height, rx, ry) => {
+  const r = [Math.min(rx, width / 2), Math.min(ry, height / 2)];
+  return [
+    ...sampleArc([x + width - r[0], y + r[1]], r, -Math.PI / 2, Math.PI / 2, CORNER_SEGMENTS),
+    ...sampleArc([x + width - r[0], y + height - r[1]], r, 0, Math.PI / 2, CORNER_SEGMENTS),
+    ...sampleArc([x + r[0], y + height - r[1]], r, Math.PI / 2, Math.PI / 2, CORNER_SEGMENTS),
+    ...sampleArc([x + r[0], y + r[1]], r, Math.PI, Math.PI / 2, CORNER_SEGMENTS),
+  ];
+};
+
+const ellipsePoints = (cx, cy, rx, ry) =>
+  sampleArc([cx, cy], [rx, ry], 0, 2 * Math.PI, ELLIPSE_SEGMENTS).slice(0, -1);
+
+// Outlines of one element in its own user space.
+const getElementOutlines = (element) => {
+  switch (element.nodeName) {
+    case "path":
+      return flattenPath(element.getAttribute("d") || "");
+    case "polygon":
+    case "polyline":
+      return [parsePointList(element.getAttribute("points"))];
+    case "rect": {
+      const [x, y, width, height] = ["x", "y", "width", "height"].map(name => readNumber(element, name));
+      const rx = readNumber(element, "rx") || readNumber(element, "ry");
+      const ry = readNumber(element, "ry") || rx;
+      if (rx > 0 && ry > 0) return [roundedRect(x, y, width, height, rx, ry)];
+      return [[[x, y], [x + width, y], [x + width, y + height], [x, y + height]]];
+    }
+    case "circle": {
+      const r = readNumber(element, "r");
+      return [ellipsePoints(readNumber(element, "cx"), readNumber(element, "cy"), r, r)];
+    }
+    case "ellipse":
+      return [ellipsePoints(readNumber(element, "cx"), readNumber(element, "cy"), readNumber(element, "rx"), readNumber(element, "ry"))];
+    default:
+      return [];
+  }
+};
+
+// Combines the element's own transform with those of its ancestors.
+const getTransform = (element) => {
+  let matrix = SVG(element).matrixify();
+  for (let parent = element.parentNode; parent && parent.nodeName !== "#document"; parent = parent.parentNode) {
+    if (parent.getAttribute && parent.getAttribute("transform")) {
+      matrix = SVG(parent).matrixify().multiply(matrix);
+    }
+  }
+  return matrix;
+};
+
+const getBoxArea = (points) => {
+  const { minX, maxX, minY, maxY } = getBounds(points);
+  return (maxX - minX) * (maxY - minY);
+};
+
+// Centers the outline and scales it uniformly so its longer side spans
+// [-1, 1]; unlike fit to frame, icons keep their proportions.
+const fitToUnitBox = (points) => {
+  const { minX, maxX, minY, maxY } = getBounds(points);
+  const half = Math.max(maxX - minX, maxY - minY) / 2;
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  return points.map(([x, y]) => [(x - cx) / half, (y - cy) / half]);
+};
+
+export const parseSvgShape = (text) => {
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  if (doc.querySelector("parsererror") || !doc.documentElement || doc.documentElement.nodeName !== "svg") {
+    throw new Error("The file is not a valid SVG document");
+  }
+
+  const outlines = Array.from(doc.querySelectorAll(SHAPE_SELECTOR))
+    .filter(element => !element.closest(HIDDEN_CONTAINERS))
+    .flatMap((element) => {
+      const matrix = getTransform(element);
+      return getElementOutlines(element).map(points =>
+        points.map(([x, y]) => {
+          const transformed = new Point(x, y).transform(matrix);
+          return [transformed.x, transformed.y];
+        })
+      );
+    })
+    .filter(points => points.length >= MIN_POLYGON_POINTS && points.every(([x, y]) => Number.isFinite(x) && Number.isFinite(y)))
+    .filter(points => getBoxArea(points) > 0);
+
+  if (outlines.length === 0) {
+    throw new Error("No path, polygon, rect or circle with an area was found");
+  }
+
+  const outer = outlines.reduce((best, points) => (getBoxArea(points) > getBoxArea(best) ? points : best));
+  const fitted = removeConsecutiveDuplicates(fitToUnitBox(outer), SIMPLIFY_TOLERANCE);
+  return simplifyPolygon(fitted, SIMPLIFY_TOLERANCE);
+};
@@ -0,0 +1,70 @@
+// Symmetric completion of a drawn path around the frame center. The user draws
+// one half, quarter or sector of the outline and the rest is generated.
+
+import { flipPoints, removeConsecutiveDuplicates, rotatePoints } from "./geometry";
+
+export const SYMMETRY_MODES = [
+  { id: "none", label: "No Symmetry" },
+  { id: "horizontal", label: "Horizontal Mirror" },
+  { id: "vertical", label: "Vertical Mirror" },
+  { id: "both", label: "Both Mirrors" },
+  { id: "radial", label: "Radial" },
+];
+
+const GUIDE_EXTENT = 10000;
+
+const flipX = (center, points) => flipPoints(points, "horizontal", center);
+
+const flipY = (center, points) => flipPoints(points, "vertical", center);
+
+// Mirrored halves are walked in reverse so the outline continues around the
+// shape instead of doubling back across the axis.
+export const applySymmetry = (points, { mode, folds }, center) => {
+  if (points.length === 0) return points;
+
+  let completed;
+  switch (mode) {
+    case "horizontal":
+      completed = [...points, ...flipX(center, points).reverse()];
+      break;
+    case "vertical":
+      completed = [...points, ...flipY(center, points).reverse()];
+      break;
+    case "both":
+      completed = [
+        ...points,
+        ...flipY(center, points).reverse(),
+        ...flipX(center, flipY(center, points)),
+        ...flipX(center, points).reverse(),
+      ];
+      break;
+    case "radial":
+      completed = Array.from({ length: folds }, (_, k) => rotatePoints(points, (2 * Math.PI * k) / folds, center)).flat();
+      break;
+    default:
+      return points;
+  }
+  return removeConsecutiveDuplicates(completed);
+};
+
+// Returns the axis guide lines as [start, end] pairs in canvas pixels.
+export const getSymmetryGuides = ({ mode, folds }, [cx, cy]) => {
+  const vertical = [[cx, cy - GUIDE_EXTENT], [cx, cy + GUIDE_EXTENT]];
+  const horizontal = [[cx - GUIDE_EXTENT, cy], [cx + GUIDE_EXTENT, cy]];
+
+  switch (mode) {
+    case "horizontal":
+      return [vertical];
+    case "vertical":
+      return [horizontal];
+    case "both":
+      return [vertical, horizontal];
+    case "radial":
+      return Array.from({ length: folds }, (_, k) => {
+        const angle = -Math.PI / 2 + (2 * Math.PI * k) / folds;
+        return [[cx, cy], [cx + GUIDE_EXTENT * Math.cos(angle), cy + GUIDE_EXTENT * Math.sin(angle)]];
+      });
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,40 @@
+import { useRef, useState } from "react";
+
+const MAX_HISTORY = 100;
+
+// Linear undo/redo stack of editor snapshots. Recording after an undo drops
+// the entries that could have been redone, like any text editor.
+export const useHistory = (initialEntry) => {
+  const historyRef = useRef({ entries: [initialEntry], index: 0 });
+  const [position, setPosition] = useState({ index: 0, length: 1 });
+
+  const sync = () => {
+    const { entries, index } = historyRef.current;
+    setPosition({ index, length: entries.length });
+  };
+
+  const record = (entry) => {
+    const { entries, index } = historyRef.current;
+    const next = [...entries.slice(0, index + 1), entry].slice(-MAX_HISTORY);
+    historyRef.current = { entries: next, index: next.length - 1 };
+    sync();
+  };
+
+  const step = (delta) => {
+    const { entries, index } = historyRef.current;
+    const target = index + delta;
+    if (target < 0 || target >= entries.length) return null;
+
+    historyRef.current = { entries, index: target };
+    sync();
+    return entries[target];
+  };
+
+  return {
+    record,
+    undo: () => step(-1),
+    redo: () => step(1),
+    canUndo: position.index > 0,
+    canRedo: position.index < position.length - 1,
+  };
+};
@@ -0,0 +1,175 @@
+// Checks for outlines Cytoscape renders badly, with fixes for the ones that
+// can be repaired mechanically. Points are normalized [x, y] pairs, so the
+// tolerances below are fractions of the half-frame.
+
+import { distance, removeConsecutiveDuplicates, signedArea } from "./geometry";
+import { MIN_POLYGON_POINTS } from "./polygonFormats";
+
+const DUPLICATE_TOLERANCE = 0.002;
+const COLLINEAR_TOLERANCE = 0.002;
+const SLIVER_AREA = 0.0005;
+const MAX_UNTANGLE_PASSES = 500;
+
+const cross = ([ax, ay], [bx, by], [cx, cy]) => (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+// Distance of `point` from the line through its neighbours. A vertex that
+// doubles back on its edge lies on that line too, so spikes count as well.
+const offsetFromNeighbours = (previous, point, next) => {
+  const base = distance(previous, next);
+  return base === 0 ? distance(previous, point) : Math.abs(cross(previous, next, point)) / base;
+};
+
+const segmentIntersection = (a, b, c, d) => {
+  const denominator = (b[0] - a[0]) * (d[1] - c[1]) - (b[1] - a[1]) * (d[0] - c[0]);
+  if (denominator === 0) return null;
+
+  const t = ((c[0] - a[0]) * (d[1] - c[1]) - (c[1] - a[1]) * (d[0] - c[0])) / denominator;
+  const u = ((c[0] - a[0]) * (b[1] - a[1]) - (c[1] - a[1]) * (b[0] - a[0])) / denominator;
+  if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+
+  return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+};
+
+// Every pair of non-adjacent edges that cross, as the indices of the first
+// point of each edge plus the crossing point.
+export const findCrossings = (points) => {
+  const crossings = [];
+  const count = points.length;
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 2; j < count; j++) {
+      if (i === 0 && j === count - 1) continue;
+
+      const point = segmentIntersection(points[i], points[(i + 1) % count], points[j], points[(j + 1) % count]);
+      if (point) crossings.push({ edges: [i, j], point });
+    }
+  }
+  return crossings;
+};
+
+const findDuplicates = (points) =>
+  points.filter((point, i) => distance(point, points[(i + 1) % points.length]) <= DUPLICATE_TOLERANCE);
+
+const findCollinear = (points) =>
+  points.filter((point, i) => {
+    const previous = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    return offsetFromNeighbours(previous, point, next) <= COLLINEAR_TOLERANCE;
+  });
+
+export const removeDuplicatePoints = (points) => removeConsecutiveDuplicates(points, DUPLICATE_TOLERANCE);
+
+// Dropping one vertex can make its neighbour collinear, so this repeats
+// until nothing changes, never going below a triangle.
+export const removeCollinearPoints = (points) => {
+  let current = removeDuplicatePoints(points);
+  for (;;) {
+    const index = current.findIndex((point, i) => {
+      const previous = current[(i - 1 + current.length) % current.length];
+      const next = current[(i + 1) % current.length];
+      return offsetFromNeighbours(previous, point, next) <= COLLINEAR_TOLERANCE;
+    });
+    if (index === -1 || current.length <= MIN_POLYGON_POINTS) return current;
+    current = current.filter((_, i) => i !== index);
+  }
+};
+
+// 2-opt: reversing the run of points between two crossing edges swaps them
+// for two shorter ones that do not cross. Every pass shortens the outline, so
+// it settles, but the pass limit keeps pathological input from hanging.
+export const untanglePoints = (points) => {
+  let current = points.map(point => [...point]);
+  for (let pass = 0; pass < MAX_UNTANGLE_PASSES; pass++) {
+    const [crossing] = findCrossings(current);
+    if (!crossing) return current;
+
+    const [i, j] = crossing.edges;
+    current = [...current.slice(0, i + 1), ...current.slice(i + 1, j + 1).reverse(), ...current.slice(j + 1)];
+  }
+  throw new Error("Could not untangle the outline; move the crossing points by hand");
+};
+
+export const reverseWinding = (points) => [...points].reverse();
+
+export const VALIDATION_FIXES = {
+  duplicates: { label: "Remove duplicates", apply: removeDuplicatePoints },
+  collinear: { label: "Drop collinear points", apply: removeCollinearPoints },
+  crossings: { label: "Untangle", apply: untanglePoints },
+  winding: { label: "Reverse order", apply: reverseWinding },
+};
+
+// Returns the problems found, most severe first. `markers` are the points to
+// highlight on the canvas and `fix` names an entry of VALIDATION_FIXES.
+export const validatePolygon = (points) => {
+  if (points.length === 0) return [];
+
+  // Closing after one or two clicks, or double-clicking a single spot, leaves
+  // nothing the other checks could say anything useful about.
+  if (removeDuplicatePoints(points).length < MIN_POLYGON_POINTS) {
+    return [{
+      id: "degenerate",
+      severity: "error",
+      message: `A polygon needs at least ${MIN_POLYGON_POINTS} distinct points`,
+      markers: points,
+      fix: null,
+    }];
+  }
+
+  const issues = [];
+  const crossings = findCrossings(points);
+  if (crossings.length > 0) {
+    issues.push({
+      id: "crossings",
+      severity: "error",
+      message: `The outline crosses itself ${crossings.length === 1 ? "once" : `${crossings.length} times`}`,
+      markers: crossings.map(crossing => crossing.point),
+      fix: "crossings",
+    });
+  }
+
+  // A crossing makes the lobes' areas cancel out, so the area only says
+  // something about outlines that do not cross.
+  const area = signedArea(points) / 2;
+  if (crossings.length === 0 && Math.abs(area) < SLIVER_AREA) {
+    issues.push({
+      id: "sliver",
+      severity: "error",
+      message: "The shape encloses almost no area",
+      markers: [],
+      fix: null,
+    });
+  }
+
+  const duplicates = findDuplicates(points);
+  if (duplicates.length > 0) {
+    issues.push({
+      id: "duplicates",
+      severity: "warning",
+      message: `${duplicates.length} duplicate consecutive ${duplicates.length === 1 ? "point" : "points"}`,
+      markers: duplicates,
+      fix: "duplicates",
+    });
+  }
+
+  const collinear = duplicates.length > 0 ? [] : findCollinear(points);
+  if (collinear.length > 0) {
+    issues.push({
+      id: "collinear",
+      severity: "warning",
+      message: `${collinear.length} ${collinear.length === 1 ? "point lies" : "points lie"} on a straight edge or double back`,
+      markers: collinear,
+      fix: "collinear",
+    });
+  }
+
+  if (crossings.length === 0 && area < 0) {
+    issues.push({
+      id: "winding",
+      severity: "info",
+      message: "Points run counter-clockwise on screen",
+      markers: [],
+      fix: "winding",
+    });
+  }
+
+  return issues;
+};
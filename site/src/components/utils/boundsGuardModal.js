@@ -0,0 +1,26 @@
+import React from "react";
+import { Modal, ModalBody, ModalFooter, ModalButtonPrimary, ModalButtonSecondary, Typography } from "@sistent/sistent";
+
+const BoundsGuardModal = ({ open, count, onClose, onResolve }) => (
+  <Modal
+    open={open}
+    closeModal={onClose}
+    title="Points Outside the Unit Box"
+    maxWidth="sm"
+  >
+    <ModalBody>
+      <Typography variant="body2" color="text.secondary">
+        {count === 1 ? "One point lies" : `${count} points lie`} outside the [-1, 1] range, and Kanvas
+        will clip the shape there. Clamp moves the stray points onto the boundary; Fit to Frame rescales
+        the whole shape to fill the box.
+      </Typography>
+    </ModalBody>
+    <ModalFooter variant="filled">
+      <ModalButtonSecondary onClick={() => onResolve("copy")}>Copy Anyway</ModalButtonSecondary>
+      <ModalButtonSecondary onClick={() => onResolve("clamp")}>Clamp &amp; Copy</ModalButtonSecondary>
+      <ModalButtonPrimary onClick={() => onResolve("fit")}>Fit &amp; Copy</ModalButtonPrimary>
+    </ModalFooter>
+  </Modal>
+);
+
+export default BoundsGuardModal;
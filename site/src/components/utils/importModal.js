@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import { Modal, ModalBody, ModalFooter, ModalButtonPrimary, ModalButtonSecondary, TextField, Typography } from "@sistent/sistent";
+
+const PLACEHOLDER = "-0.33 -1 0.33 -1 0.33 -0.33 1 -0.33 ...";
+
+const ImportModal = ({ open, onClose, onImport }) => {
+  const [value, setValue] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleClose = () => {
+    setError(null);
+    onClose();
+  };
+
+  const handleImport = () => {
+    try {
+      onImport(value);
+      setValue("");
+      handleClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      closeModal={handleClose}
+      title="Import Polygon"
+      maxWidth="sm"
+    >
+      <ModalBody>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+          Paste a Kanvas shape-polygon-points string, a JSON array of [x, y] pairs,
+          or an SVG points attribute. Coordinates are expected in the [-1, 1] range.
+        </Typography>
+        <TextField
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={PLACEHOLDER}
+          error={Boolean(error)}
+          helperText={error}
+          multiline
+          minRows={4}
+          fullWidth
+          autoFocus
+          inputProps={{ "aria-label": "Polygon coordinates", style: { fontFamily: "monospace" } }}
+        />
+      </ModalBody>
+      <ModalFooter variant="filled">
+        <ModalButtonSecondary onClick={handleClose}>Cancel</ModalButtonSecondary>
+        <ModalButtonPrimary onClick={handleImport} disabled={!value.trim()}>Import</ModalButtonPrimary>
+      </ModalFooter>
+    </Modal>
+  );
+};
+
+export default ImportModal;
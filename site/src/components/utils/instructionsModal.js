@@ -11,8 +11,8 @@ const instructionPoints = [
     secondary: "Snap to Grid is default, CTRL allows you to freely draw with precision"
   },
   {
-    primary: "CTRL + Z to undo",
-    secondary: "Undo the last point you placed"
+    primary: "CTRL + Z to undo, CTRL + Y to redo",
+    secondary: "Step back and forward through points, closing, scaling and clearing"
   },
   {
     primary: "Maximize for better visibility",
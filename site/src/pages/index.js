@@ -97,13 +97,26 @@ const IndexPage = () => {
                   </span>
 
                   <span>
-                    <Kbd theme={activeTheme}>CTRL</Kbd> Snap to grid
+                    <Kbd theme={activeTheme}>CTRL</Kbd> Place freely, ignoring snapping
+                  </span>
+
+                  <span>
+                    <Kbd theme={activeTheme}>SHIFT</Kbd> Constrain angle
                   </span>
 
                   <span>
                     <Kbd theme={activeTheme}>CTRL</Kbd> +{" "}
                     <Kbd theme={activeTheme}>Z</Kbd> Undo
                   </span>
+
+                  <span>
+                    <Kbd theme={activeTheme}>CTRL</Kbd> +{" "}
+                    <Kbd theme={activeTheme}>Y</Kbd> Redo
+                  </span>
+
+                  <span>
+                    <Kbd theme={activeTheme}>DEL</Kbd> Delete selected point (Edit Points)
+                  </span>
                 </InstructionsContainer>
               </div>
             </Box>